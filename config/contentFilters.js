@@ -0,0 +1,47 @@
+// Settings for the spam and content filters posts and comments pass through
+// (utils/contentFilterUtils.js). Every value can be overridden through the
+// environment without a deploy of new code.
+const numberFromEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+const listFromEnv = (name, fallback = []) => {
+  const value = process.env[name];
+  if (value === undefined) return fallback;
+  return value.split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+};
+
+module.exports = {
+  bannedWords: {
+    // Content containing one of these is refused outright
+    reject: listFromEnv('CONTENT_BANNED_WORDS'),
+    // These are let through but sent to the moderation queue
+    flag: listFromEnv('CONTENT_FLAGGED_WORDS')
+  },
+  links: {
+    // More links than flagAt goes to review; more than max is refused
+    post: {
+      flagAt: numberFromEnv('CONTENT_POST_LINKS_FLAG_AT', 5),
+      max: numberFromEnv('CONTENT_POST_MAX_LINKS', 10)
+    },
+    comment: {
+      flagAt: numberFromEnv('CONTENT_COMMENT_LINKS_FLAG_AT', 2),
+      max: numberFromEnv('CONTENT_COMMENT_MAX_LINKS', 4)
+    }
+  },
+  duplicates: {
+    // An author repeating their own post or comment within this window is refused
+    windowHours: numberFromEnv('CONTENT_DUPLICATE_WINDOW_HOURS', 24),
+    // How many of their latest posts or comments are compared against
+    lookback: numberFromEnv('CONTENT_DUPLICATE_LOOKBACK', 20),
+    // Shorter texts ("Thanks!", "+1") are too common to count as spam
+    minLength: numberFromEnv('CONTENT_DUPLICATE_MIN_LENGTH', 20)
+  },
+  burst: {
+    // At most this many new posts, or comments, per author per windowSeconds
+    windowSeconds: numberFromEnv('CONTENT_BURST_WINDOW_SECONDS', 60),
+    post: numberFromEnv('CONTENT_BURST_MAX_POSTS', 3),
+    comment: numberFromEnv('CONTENT_BURST_MAX_COMMENTS', 10)
+  }
+};
@@ -3,6 +3,9 @@ const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const JwtStrategy = require('passport-jwt').Strategy;
 const ExtractJwt = require('passport-jwt').ExtractJwt;
 const User = require('../models/user');
+const { consumeActionToken } = require('../utils/actionTokenUtils');
+const { isSessionActive } = require('../utils/sessionUtils');
+const { isSuspended, suspensionError } = require('../utils/suspensionUtils');
 
 // JWT Strategy
 passport.use(new JwtStrategy({
@@ -10,11 +13,25 @@ passport.use(new JwtStrategy({
   secretOrKey: process.env.JWT_SECRET
 }, async (payload, done) => {
   try {
-    const user = await User.findById(payload.id).select('-password -refreshTokens');
-    if (user) {
-      return done(null, user);
+    const user = await User.findById(payload.id).select('-password');
+    // Deactivated accounts keep no sessions; logging in reactivates them
+    if (!user || user.deactivatedAt) {
+      return done(null, false);
+    }
+    // Checked before the token version, which the suspension also bumped, so
+    // the user is told why rather than just logged out
+    if (isSuspended(user)) {
+      return done(null, false, { suspension: suspensionError(user) });
+    }
+    // Revoked wholesale (password change, logout everywhere, ...)
+    if ((payload.ver || 0) !== user.tokenVersion) {
+      return done(null, false);
+    }
+    // Revoked one device at a time; answered from memory most of the time
+    if (payload.sid && !(await isSessionActive(payload.sid))) {
+      return done(null, false);
     }
-    return done(null, false);
+    return done(null, user, { sessionId: payload.sid });
   } catch (error) {
     return done(error, false);
   }
@@ -24,10 +41,42 @@ passport.use(new JwtStrategy({
 passport.use(new GoogleStrategy({
   clientID: process.env.GOOGLE_CLIENT_ID,
   clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-  callbackURL: `${process.env.SERVER_URL}/api/auth/google/callback`
+  callbackURL: `${process.env.SERVER_URL}/api/auth/google/callback`,
+  passReqToCallback: true
 
-}, async (accessToken, refreshToken, profile, done) => {
+}, async (req, accessToken, refreshToken, profile, done) => {
   try {
+    // Linking Google to the account that asked for it (see routes/account.js).
+    // The callback route has already checked the state it arrived in.
+    const link = req.oauthState && req.oauthState.link;
+    if (link) {
+      const payload = await consumeActionToken(link, 'link_google');
+      if (!payload) {
+        return done(null, false, { message: 'Invalid or expired link request' });
+      }
+
+      const owner = await User.findOne({ googleId: profile.id });
+      if (owner && !owner._id.equals(payload.id)) {
+        return done(null, false, { message: 'That Google account is linked to another user' });
+      }
+
+      const linkedUser = await User.findById(payload.id);
+      if (!linkedUser) {
+        return done(null, false);
+      }
+      // The link URL works in any browser, so whoever opens it could attach
+      // their own Google account. Only a verified Google address matching
+      // the account's proves it is the owner's.
+      const sameEmail = (profile.emails || []).some(entry =>
+        entry.verified && entry.value.toLowerCase() === linkedUser.email);
+      if (!sameEmail) {
+        return done(null, false, { message: 'That Google account uses a different email address' });
+      }
+      linkedUser.googleId = profile.id;
+      await linkedUser.save();
+      return done(null, linkedUser, { linked: true });
+    }
+
     let user = await User.findOne({ googleId: profile.id });
     
     if (user) {
@@ -64,7 +113,7 @@ passport.serializeUser((user, done) => {
 
 passport.deserializeUser(async (id, done) => {
   try {
-    const user = await User.findById(id).select('-password -refreshTokens');
+    const user = await User.findById(id).select('-password');
     done(null, user);
   } catch (error) {
     done(error, null);
@@ -0,0 +1,31 @@
+// Request budgets for middleware/rateLimit.js. Each allows `max` requests per
+// window, counted per signed-in user (per IP address for anonymous
+// requests). Every value can be overridden through the environment, e.g.
+// RATE_LIMIT_POSTS_MAX=20 or RATE_LIMIT_POSTS_WINDOW_MINUTES=30.
+const numberFromEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const budget = (name, max, windowMinutes) => ({
+  max: numberFromEnv(`RATE_LIMIT_${name}_MAX`, max),
+  windowMs: numberFromEnv(`RATE_LIMIT_${name}_WINDOW_MINUTES`, windowMinutes) * 60 * 1000
+});
+
+module.exports = {
+  // Everything under /api
+  api: budget('API', 300, 15),
+  login: budget('LOGIN', 20, 15),
+  // Failed sign-ins per account and address; once used up, that address is
+  // locked out of the account until the window ends
+  loginFailures: budget('LOGIN_FAILURES', 5, 15),
+  // Failed sign-ins per account from anywhere, against guessing spread over
+  // many addresses; using it up locks the account for everyone
+  accountLoginFailures: budget('ACCOUNT_LOGIN_FAILURES', 50, 60),
+  signup: budget('SIGNUP', 5, 60),
+  posts: budget('POSTS', 10, 60),
+  comments: budget('COMMENTS', 30, 15),
+  // Reactions, and the older like toggle
+  likes: budget('LIKES', 120, 15),
+  connectionRequests: budget('CONNECTION_REQUESTS', 30, 24 * 60)
+};
@@ -0,0 +1,26 @@
+// Who may do what. Permissions are checked with requirePermission (see
+// middleware/auth.js); routes never test role names directly, so a role's
+// reach is changed here and nowhere else.
+const ROLES = ['user', 'moderator', 'admin'];
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  moderator: [
+    'content:moderate', // hide, unhide or delete anyone's posts and comments; work the report queue
+    'users:suspend',
+    'stats:view'
+  ],
+  admin: [
+    'content:moderate',
+    'users:suspend',
+    'users:ban', // permanent bans, and lifting them
+    'stats:view',
+    'users:manage', // change roles
+    'audit:read'
+  ]
+};
+
+const hasPermission = (user, permission) =>
+  !!user && (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+
+module.exports = { ROLES, ROLE_PERMISSIONS, hasPermission };
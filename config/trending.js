@@ -0,0 +1,18 @@
+// Tuning knobs for the discover feed's "trending" sort. Every value can be
+// overridden through the environment without a deploy of new code.
+const numberFromEnv = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+module.exports = {
+  weights: {
+    reactions: numberFromEnv('TRENDING_REACTION_WEIGHT', 1),
+    comments: numberFromEnv('TRENDING_COMMENT_WEIGHT', 2),
+    recency: numberFromEnv('TRENDING_RECENCY_WEIGHT', 3)
+  },
+  // Multiplier applied to the whole score when the author is a connection
+  connectionBoost: numberFromEnv('TRENDING_CONNECTION_BOOST', 1.5),
+  // A reaction, comment or post loses half its weight every halfLifeHours
+  halfLifeHours: Math.max(numberFromEnv('TRENDING_HALF_LIFE_HOURS', 24), 0.1)
+};
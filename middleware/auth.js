@@ -1,5 +1,8 @@
 const passport = require('passport');
+const { hasPermission } = require('../config/roles');
 
+// Both set req.sessionId to the session (see models/session.js) the access
+// token was issued for
 const requireAuth = (req, res, next) => {
   passport.authenticate('jwt', { session: false }, (err, user, info) => {
     if (err) {
@@ -7,12 +10,57 @@ const requireAuth = (req, res, next) => {
     }
     
     if (!user) {
+      if (info && info.suspension) {
+        return res.status(403).json(info.suspension);
+      }
       return res.status(401).json({ error: 'Access token required' });
     }
     
     req.user = user;
+    req.sessionId = info && info.sessionId;
     next();
   })(req, res, next);
 };
 
-module.exports = { requireAuth };
\ No newline at end of file
+// Sets req.user when a valid token is sent, but lets anonymous requests through
+const optionalAuth = (req, res, next) => {
+  passport.authenticate('jwt', { session: false }, (err, user, info) => {
+    if (err) {
+      return res.status(500).json({ error: 'Authentication error' });
+    }
+
+    if (user) {
+      req.user = user;
+      req.sessionId = info && info.sessionId;
+    }
+    next();
+  })(req, res, next);
+};
+
+// Role and permission gates go after requireAuth. Prefer requirePermission:
+// which roles hold a permission is decided in config/roles.js.
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+  next();
+};
+
+const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.user, permission)) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+  next();
+};
+
+// EventSource can't send headers, so streaming endpoints may take the access
+// token as ?access_token=. Only mount this in front of those routes: query
+// strings end up in logs.
+const allowQueryToken = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.access_token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+module.exports = { requireAuth, optionalAuth, requireRole, requirePermission, allowQueryToken };
\ No newline at end of file
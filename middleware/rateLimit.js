@@ -0,0 +1,127 @@
+const rateLimit = require('express-rate-limit');
+const jwt = require('jsonwebtoken');
+const budgets = require('../config/rateLimits');
+
+const { MemoryStore } = rateLimit;
+
+// Where hits are counted. The default keeps them in this process; with more
+// than one instance, call setRateLimitStore before the server takes requests
+// with a factory for any express-rate-limit store (Redis, Memcached, ...).
+// It is called once per budget, with the budget's name.
+let createStore = () => new MemoryStore();
+
+const setRateLimitStore = (factory) => {
+  createStore = factory;
+};
+
+// The signed-in user's ID when the request carries a valid access token,
+// otherwise null. Only the signature is checked: a revoked token still
+// counts against its user, which is the point.
+const tokenUserId = (req) => {
+  if (req.user) return String(req.user._id);
+  if (req.rateLimitUserId === undefined) {
+    const header = req.headers.authorization || '';
+    let userId = null;
+    if (header.startsWith('Bearer ')) {
+      try {
+        userId = jwt.verify(header.slice(7), process.env.JWT_SECRET).id || null;
+      } catch (error) {
+        userId = null;
+      }
+    }
+    req.rateLimitUserId = userId;
+  }
+  return req.rateLimitUserId;
+};
+
+// Users are limited as themselves wherever they connect from, so people
+// sharing an address don't use up each other's budget
+const clientKey = (req) => {
+  const userId = tokenUserId(req);
+  return userId ? `user:${userId}` : `ip:${req.ip}`;
+};
+
+const MESSAGES = {
+  api: 'Too many requests, please try again later',
+  login: 'Too many sign-in attempts, please try again later',
+  signup: 'Too many accounts created from this address, please try again later',
+  posts: 'You are creating posts too quickly, please try again later',
+  comments: 'You are commenting too quickly, please try again later',
+  likes: 'You are reacting too quickly, please try again later',
+  connectionRequests: 'You have sent too many connection requests, please try again later'
+};
+
+const limiters = new Map(); // budget name -> express-rate-limit middleware
+
+// Built on first use, so a store set after the routes were loaded still
+// takes effect
+const limiterFor = (name, options) => {
+  if (!limiters.has(name)) {
+    const { max, windowMs } = budgets[name];
+    limiters.set(name, rateLimit({
+      max,
+      windowMs,
+      store: createStore(name),
+      standardHeaders: true,
+      legacyHeaders: false,
+      keyGenerator: clientKey,
+      handler: (req, res) => {
+        res.status(429).json({
+          error: MESSAGES[name],
+          retryAfter: Number(res.getHeader('Retry-After')) || Math.ceil(windowMs / 1000)
+        });
+      },
+      ...options
+    }));
+  }
+  return limiters.get(name);
+};
+
+// Middleware spending one request of the named budget (see config/rateLimits.js).
+// Put it after requireAuth where there is one.
+const limit = (name) => {
+  if (!budgets[name]) {
+    throw new Error(`Unknown rate limit budget "${name}"`);
+  }
+  return (req, res, next) => limiterFor(name)(req, res, next);
+};
+
+// Brute-force protection for password sign-in. Only wrong passwords (401s)
+// count. They are counted per account and address, so someone guessing from
+// elsewhere can't lock the owner out, and per account with a much looser
+// budget, which stops guessing spread over many addresses. Both go after the
+// login validators, which normalize the email.
+const lockoutKeys = {
+  loginFailures: (email, ip) => `email:${email}:ip:${ip}`,
+  accountLoginFailures: (email) => `email:${email}`
+};
+
+const lockoutOptions = (name) => ({
+  keyGenerator: (req) => lockoutKeys[name](req.body.email, req.ip),
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req, res) => res.statusCode !== 401,
+  handler: (req, res) => {
+    const retryAfter = Number(res.getHeader('Retry-After')) || Math.ceil(budgets[name].windowMs / 1000);
+    res.status(429).json({
+      error: `Too many failed sign-in attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s) or reset your password.`,
+      code: 'login_locked',
+      retryAfter
+    });
+  }
+});
+
+const lockoutFor = (name) => limiterFor(name, lockoutOptions(name));
+
+const loginLockout = [
+  (req, res, next) => lockoutFor('loginFailures')(req, res, next),
+  (req, res, next) => lockoutFor('accountLoginFailures')(req, res, next)
+];
+
+// A successful sign-in, or password reset, forgives the failures before it.
+// Other addresses' counts for the account simply run out.
+const clearLoginFailures = async (email, ip) => {
+  await lockoutFor('loginFailures').resetKey(lockoutKeys.loginFailures(email, ip));
+  await lockoutFor('accountLoginFailures').resetKey(lockoutKeys.accountLoginFailures(email));
+};
+
+module.exports = { setRateLimitStore, limit, loginLockout, clearLoginFailures };
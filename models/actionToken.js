@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const ACTION_TOKEN_PURPOSES = [
+  'verify_email',
+  'reset_password',
+  'change_email',
+  'link_google',
+  'google_login',
+  'confirm_set_password',
+  'confirm_change_email',
+  'confirm_deactivate',
+  'confirm_delete'
+];
+
+// One row per outstanding emailed (or redirect-borne) token. The token itself is a signed JWT;
+// this record is what makes it single-use, and is deleted when redeemed.
+const actionTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ACTION_TOKEN_PURPOSES,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+actionTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+actionTokenSchema.index({ user: 1, purpose: 1 });
+
+actionTokenSchema.statics.PURPOSES = ACTION_TOKEN_PURPOSES;
+
+module.exports = mongoose.model('ActionToken', actionTokenSchema);
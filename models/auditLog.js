@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const AUDIT_TARGET_TYPES = ['user', 'post', 'comment'];
+
+// Append-only record of privileged actions: role changes and moderation.
+// Entries outlive their targets, so what was acted on is described in
+// `details` as well as referenced.
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // "<target type>.<verb>", e.g. "post.hide" or "user.role_change"
+  action: {
+    type: String,
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: AUDIT_TARGET_TYPES,
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  reason: {
+    type: String,
+    maxlength: 500,
+    default: null
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ip: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1, _id: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+auditLogSchema.statics.TARGET_TYPES = AUDIT_TARGET_TYPES;
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
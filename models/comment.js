@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const commentSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Threads are one level deep: replies always point at a top-level comment
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  content: {
+    type: String,
+    required: true,
+    maxlength: 1000
+  },
+  repliesCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  // Set while the author serves a suspension that hid their content
+  authorSuspended: {
+    type: Boolean,
+    default: false
+  },
+  // Set when a moderator hides the comment. It stays in place, counters and
+  // all, but only its author and moderators can see it.
+  hiddenAt: {
+    type: Date,
+    default: null
+  },
+  // Who hid it is for moderators (and the audit log), not the author
+  hiddenBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    select: false
+  },
+  hiddenReason: {
+    type: String,
+    maxlength: 500,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+commentSchema.index({ post: 1, parentId: 1, createdAt: 1, _id: 1 });
+commentSchema.index({ post: 1, createdAt: -1 });
+commentSchema.index({ author: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Comment', commentSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const EXPORT_STATUSES = ['pending', 'processing', 'ready', 'failed', 'expired'];
+
+// One personal data export request. The worker in utils/exportWorker.js
+// moves it from pending to ready (or failed); expired archives are deleted
+// from storage and the record kept as history.
+const exportJobSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: EXPORT_STATUSES,
+    default: 'pending'
+  },
+  // Storage key of the finished archive (see utils/exportUtils.js)
+  fileKey: {
+    type: String,
+    default: null
+  },
+  size: {
+    type: Number,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // When the archive is deleted; download links never outlive this
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+exportJobSchema.index({ user: 1, createdAt: -1 });
+exportJobSchema.index({ status: 1, createdAt: 1 });
+exportJobSchema.index({ status: 1, expiresAt: 1 });
+
+exportJobSchema.statics.STATUSES = EXPORT_STATUSES;
+
+module.exports = mongoose.model('ExportJob', exportJobSchema);
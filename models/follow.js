@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// A one-way subscription to someone's posts. Unlike a Connection it needs
+// no approval and carries no status.
+const followSchema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  followee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+followSchema.index({ follower: 1, followee: 1 }, { unique: true });
+followSchema.index({ followee: 1, createdAt: -1, _id: -1 });
+followSchema.index({ follower: 1, createdAt: -1, _id: -1 });
+
+followSchema.pre('save', function(next) {
+  if (this.follower.equals(this.followee)) {
+    return next(new Error('Cannot follow yourself'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('Follow', followSchema);
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+const CASE_TARGET_TYPES = ['post', 'comment', 'user'];
+const CASE_STATUSES = ['open', 'dismissed', 'actioned'];
+const CASE_ACTIONS = ['dismiss', 'hide', 'warn', 'suspend'];
+
+// Everything reported about one post, comment or user, until a moderator
+// deals with it. Reports made after that open a new case. Content filters
+// open cases too, flagging what they caught without any reports.
+const moderationCaseSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: CASE_TARGET_TYPES,
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Who warnings and suspensions reach: the author, or the reported user
+  targetOwner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The post a reported comment sits under
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: CASE_STATUSES,
+    default: 'open'
+  },
+  // Distinct reporters; each user can report a case once
+  reporterCount: {
+    type: Number,
+    default: 0
+  },
+  // Reports per category, e.g. { spam: 3, harassment: 1 }
+  categories: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  lastReportedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Content filter hits, e.g. { filter: 'link-count', reason: 'Contains 6 links' }
+  flags: [{
+    _id: false,
+    filter: String,
+    reason: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Set when the report threshold hid the content before anyone looked
+  autoHiddenAt: {
+    type: Date,
+    default: null
+  },
+  resolution: {
+    action: {
+      type: String,
+      enum: CASE_ACTIONS
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: Date,
+    note: {
+      type: String,
+      maxlength: 1000
+    },
+    suspendedUntil: Date
+  }
+}, {
+  timestamps: true
+});
+
+// At most one open case per target
+moderationCaseSchema.index(
+  { targetType: 1, targetId: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+moderationCaseSchema.index({ status: 1, lastReportedAt: -1, _id: -1 });
+moderationCaseSchema.index({ status: 1, targetType: 1, lastReportedAt: -1, _id: -1 });
+moderationCaseSchema.index({ targetOwner: 1, createdAt: -1 });
+
+moderationCaseSchema.statics.TARGET_TYPES = CASE_TARGET_TYPES;
+moderationCaseSchema.statics.STATUSES = CASE_STATUSES;
+moderationCaseSchema.statics.ACTIONS = CASE_ACTIONS;
+
+module.exports = mongoose.model('ModerationCase', moderationCaseSchema);
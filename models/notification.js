@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = [
+  'connection_request',
+  'connection_accepted',
+  'reaction',
+  'comment',
+  'reply',
+  'mention',
+  'follow'
+];
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  // Everyone behind a grouped notification, oldest first. Ungrouped
+  // notifications have exactly one actor.
+  actors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment'
+  },
+  connection: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Connection'
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Feed order: updatedAt moves when a grouped notification gains an actor
+notificationSchema.index({ recipient: 1, updatedAt: -1, _id: -1 });
+notificationSchema.index({ recipient: 1, readAt: 1 });
+notificationSchema.index({ recipient: 1, type: 1, post: 1, comment: 1, readAt: 1 });
+
+notificationSchema.statics.TYPES = NOTIFICATION_TYPES;
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -1,11 +1,38 @@
 const mongoose = require('mongoose');
+const Reaction = require('./reaction');
+const { renderMarkdown, toPlainText, buildExcerpt, readTimeMinutes, slugify } = require('../utils/markdownUtils');
+
+const POST_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
 
 const postSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: null
+  },
+  // Generated from the title (or the opening words) and unique across posts
+  slug: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // Markdown source, as the author wrote it
   content: {
     type: String,
     required: true,
     maxlength: 10000
   },
+  // Rendered from content on save; never accepted from clients
+  contentHtml: {
+    type: String,
+    default: ''
+  },
+  // Plain-text opening of the post for feed cards
+  excerpt: {
+    type: String,
+    default: ''
+  },
   author: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -16,36 +43,91 @@ const postSchema = new mongoose.Schema({
     trim: true,
     lowercase: true
   }],
-  likes: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    createdAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
-  comments: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: true
-    },
-    content: {
-      type: String,
-      required: true,
-      maxlength: 1000
-    },
-    createdAt: {
-      type: Date,
-      default: Date.now
-    }
+  // Images stored through utils/storage.js, in display order
+  attachments: [{
+    key: { type: String, required: true },
+    url: { type: String, required: true },
+    thumbnailKey: { type: String, required: true },
+    thumbnailUrl: { type: String, required: true },
+    mimeType: { type: String, required: true },
+    size: Number,
+    width: Number,
+    height: Number,
+    alt: { type: String, trim: true, maxlength: 300, default: '' }
   }],
+  // Reactions live in their own collection (models/reaction.js); these
+  // counters are kept in step by utils/reactionUtils.js.
+  reactionCounts: Object.fromEntries(
+    Reaction.TYPES.map(type => [type, { type: Number, default: 0, min: 0 }])
+  ),
+  reactionsCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Comments live in their own collection (models/comment.js); this counter
+  // is kept in step by the comment routes.
+  commentsCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: POST_STATUSES,
+    default: 'published'
+  },
+  // When a scheduled post should go live
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  // When the post actually went live; feeds order by this, not createdAt
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+  // Set while the author's account is deactivated; hides the post without
+  // touching its status
+  authorDeactivated: {
+    type: Boolean,
+    default: false
+  },
+  // Likewise while the author serves a suspension that hid their content
+  authorSuspended: {
+    type: Boolean,
+    default: false
+  },
+  // Set when a moderator hides the post. It stays in place, counters and
+  // all, but only its author and moderators can see it.
+  hiddenAt: {
+    type: Date,
+    default: null
+  },
+  // Who hid it is for moderators (and the audit log), not the author
+  hiddenBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    select: false
+  },
+  hiddenReason: {
+    type: String,
+    maxlength: 500,
+    default: null
+  },
+  // Mirrors status === 'published' (for a visible author, and unless
+  // hidden) so existing queries and indexes keep working. Bulk updates use
+  // PUBLISHED_EXPRESSION from utils/postUtils.js to stay in step.
   isPublished: {
     type: Boolean,
     default: true
   },
+  // Bumped on every content edit; matches the latest PostRevision
+  version: {
+    type: Number,
+    default: 1
+  },
   readTime: {
     type: Number, // in minutes
     default: 1
@@ -55,17 +137,67 @@ const postSchema = new mongoose.Schema({
 });
 
 postSchema.pre('save', function(next) {
-  if (this.isModified('content')) {
-    const wordsPerMinute = 200;
-    const wordCount = this.content.split(/\s+/).length;
-    this.readTime = Math.max(1, Math.ceil(wordCount / wordsPerMinute));
+  this.isPublished = this.status === 'published' && !this.authorDeactivated &&
+    !this.authorSuspended && !this.hiddenAt;
+  if (this.status === 'published' && !this.publishedAt) {
+    this.publishedAt = new Date();
+  }
+  if (this.status !== 'scheduled') {
+    this.publishAt = null;
   }
   next();
 });
 
+postSchema.pre('save', function(next) {
+  if (this.isModified('content') || !this.contentHtml) {
+    const text = toPlainText(this.content);
+    this.contentHtml = renderMarkdown(this.content);
+    this.excerpt = buildExcerpt(text);
+    this.readTime = readTimeMinutes(text);
+  }
+  next();
+});
+
+// Slugs are unique; a clash gets the end of the post's ID appended
+const suffixedSlug = (base, id) => `${base}-${id.toString().slice(-6)}`;
+
+// Links to a post must not break once it is out, so the slug only follows
+// title changes until the post is first published
+postSchema.pre('save', async function() {
+  if (this.slug && (this.publishedAt || !this.isModified('title'))) return;
+
+  const base = slugify(this.title || this.excerpt.split(' ').slice(0, 8).join(' ')) || 'post';
+  const taken = await this.constructor.exists({ slug: base, _id: { $ne: this._id } });
+  this.slug = taken ? suffixedSlug(base, this._id) : base;
+});
+
+// The check above can race another post saved with the same title at the
+// same moment, and the unique index then refuses one of them. Anything that
+// can set a slug saves through this, which retries once with the suffix.
+postSchema.methods.saveWithSlug = async function() {
+  try {
+    return await this.save();
+  } catch (error) {
+    if (error.code !== 11000 || !error.keyPattern || !error.keyPattern.slug) throw error;
+    this.slug = suffixedSlug(this.slug, this._id);
+    return this.save();
+  }
+};
+
 postSchema.index({ author: 1, createdAt: -1 });
 postSchema.index({ tags: 1 });
+postSchema.index({ slug: 1 }, { unique: true, sparse: true });
+postSchema.index(
+  { title: 'text', content: 'text', tags: 'text' },
+  { name: 'post_text_search', weights: { title: 8, tags: 5, content: 1 } }
+);
 postSchema.index({ createdAt: -1 });
-postSchema.index({ 'likes.user': 1 });
+postSchema.index({ isPublished: 1, publishedAt: -1 });
+postSchema.index({ author: 1, publishedAt: -1 });
+postSchema.index({ isPublished: 1, reactionsCount: -1, publishedAt: -1 });
+postSchema.index({ status: 1, publishAt: 1 });
+postSchema.index({ author: 1, status: 1, updatedAt: -1 });
+
+postSchema.statics.STATUSES = POST_STATUSES;
 
 module.exports = mongoose.model('Post', postSchema);
\ No newline at end of file
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// A snapshot of a post's editable fields, taken after every save that
+// changes them. The newest revision always matches the live post.
+const postRevisionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  title: {
+    type: String,
+    default: null
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  tags: [{
+    type: String
+  }],
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Set when this revision was created by restoring an older one
+  restoredFrom: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+postRevisionSchema.index({ post: 1, version: -1 }, { unique: true });
+
+postRevisionSchema.statics.record = function(post, editorId, restoredFrom = null) {
+  return this.create({
+    post: post._id,
+    version: post.version,
+    title: post.title,
+    content: post.content,
+    tags: post.tags,
+    editor: editorId,
+    restoredFrom
+  });
+};
+
+module.exports = mongoose.model('PostRevision', postRevisionSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const REACTION_TYPES = ['like', 'celebrate', 'insightful', 'funny', 'support'];
+
+const reactionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: REACTION_TYPES,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One reaction per user per post; changing it updates the type in place
+reactionSchema.index({ post: 1, user: 1 }, { unique: true });
+reactionSchema.index({ post: 1, type: 1, createdAt: -1, _id: -1 });
+reactionSchema.index({ post: 1, createdAt: -1 });
+reactionSchema.index({ user: 1, createdAt: -1 });
+
+reactionSchema.statics.TYPES = REACTION_TYPES;
+
+module.exports = mongoose.model('Reaction', reactionSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const ModerationCase = require('./moderationCase');
+
+const REPORT_CATEGORIES = [
+  'spam',
+  'harassment',
+  'hate_speech',
+  'violence',
+  'sexual_content',
+  'misinformation',
+  'impersonation',
+  'other'
+];
+
+// One user's report of a post, comment or user. Reports about the same
+// target are gathered into its open ModerationCase.
+const reportSchema = new mongoose.Schema({
+  case: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ModerationCase',
+    required: true
+  },
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ModerationCase.TARGET_TYPES,
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  category: {
+    type: String,
+    enum: REPORT_CATEGORIES,
+    required: true
+  },
+  details: {
+    type: String,
+    maxlength: 1000,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// The threshold counts distinct reporters, so one user can't report a case twice
+reportSchema.index({ case: 1, reporter: 1 }, { unique: true });
+reportSchema.index({ case: 1, createdAt: 1 });
+reportSchema.index({ reporter: 1, createdAt: -1 });
+
+reportSchema.statics.CATEGORIES = REPORT_CATEGORIES;
+
+module.exports = mongoose.model('Report', reportSchema);
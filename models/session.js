@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// One signed-in device. Every refresh token issued for the session belongs
+// to its family; only the newest one's hash is kept, so presenting any
+// older (already rotated) token is a replay.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the current refresh token; the token itself is never stored
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500,
+    default: ''
+  },
+  device: {
+    type: String,
+    default: 'Unknown device'
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Matches the current refresh token's expiry; pushed out on each rotation
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, lastUsedAt: -1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
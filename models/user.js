@@ -1,5 +1,31 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const Notification = require('./notification');
+const { normalizeName } = require('../utils/searchUtils');
+const { ROLES } = require('../config/roles');
+
+const VISIBILITY_LEVELS = ['public', 'connections', 'private'];
+const SOCIAL_PLATFORMS = ['linkedin', 'github', 'twitter', 'mastodon', 'youtube', 'instagram', 'other'];
+
+// Profile fields a user can restrict, with who sees them by default. Names
+// and the avatar are always public so people can find each other.
+const PRIVACY_DEFAULTS = {
+  email: 'private',
+  headline: 'public',
+  bio: 'public',
+  location: 'connections',
+  website: 'public',
+  socialLinks: 'public',
+  skills: 'public',
+  connections: 'connections',
+  follows: 'public'
+};
+
+const visibilitySetting = (defaultLevel) => ({
+  type: String,
+  enum: VISIBILITY_LEVELS,
+  default: defaultLevel
+});
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -32,22 +58,151 @@ const userSchema = new mongoose.Schema({
     type: String,
     sparse: true
   },
-  refreshTokens: [{
-    token: String,
-    createdAt: {
-      type: Date,
-      default: Date.now,
-      expires: 604800 // 7 days
-    }
-  }],
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'user'
+  },
+  // Stamped into every access token; bumping it invalidates all of them at once
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
   isVerified: {
     type: Boolean,
     default: false
-  }
+  },
+  // Requested new address; becomes `email` once its verification link is used
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  // Deactivated accounts are hidden along with their posts until the owner
+  // logs in again
+  deactivatedAt: {
+    type: Date,
+    default: null
+  },
+  // Set while a deletion request sits out its grace period
+  deletionScheduledAt: {
+    type: Date,
+    default: null
+  },
+  // Set by moderators (see utils/suspensionUtils.js). A null `until` is a
+  // permanent ban; anything else is lifted once `until` passes.
+  suspension: {
+    type: new mongoose.Schema({
+      at: Date,
+      until: Date,
+      reason: String,
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      // Whether the user's posts and comments were hidden along with them
+      contentHidden: {
+        type: Boolean,
+        default: false
+      }
+    }, { _id: false }),
+    default: null
+  },
+  // Stored through utils/storage.js; the keys let a replaced avatar be deleted
+  avatar: {
+    type: new mongoose.Schema({
+      key: String,
+      url: String,
+      thumbnailKey: String,
+      thumbnailUrl: String
+    }, { _id: false }),
+    default: null
+  },
+  // Normalized copies of the name for indexed prefix search (see
+  // utils/searchUtils.normalizeName); kept in step by the pre-save hook
+  firstNameSearch: {
+    type: String,
+    select: false
+  },
+  lastNameSearch: {
+    type: String,
+    select: false
+  },
+  fullNameSearch: {
+    type: String,
+    select: false
+  },
+  headline: {
+    type: String,
+    trim: true,
+    maxlength: 120,
+    default: ''
+  },
+  bio: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: ''
+  },
+  location: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: ''
+  },
+  website: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: ''
+  },
+  socialLinks: [{
+    _id: false,
+    platform: {
+      type: String,
+      enum: SOCIAL_PLATFORMS,
+      required: true
+    },
+    url: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+      required: true
+    }
+  }],
+  skills: [{
+    type: String,
+    trim: true,
+    maxlength: 50
+  }],
+  // Who may see each restrictable profile field (see utils/profileUtils.js)
+  privacy: Object.fromEntries(
+    Object.entries(PRIVACY_DEFAULTS).map(([field, level]) => [field, visibilitySetting(level)])
+  ),
+  mutedNotificationTypes: [{
+    type: String,
+    enum: Notification.TYPES
+  }]
 }, {
   timestamps: true
 });
 
+userSchema.index({ firstNameSearch: 1 });
+userSchema.index({ lastNameSearch: 1 });
+userSchema.index({ fullNameSearch: 1 });
+userSchema.index({ deletionScheduledAt: 1 }, { sparse: true });
+userSchema.index({ 'suspension.until': 1 }, { sparse: true });
+
+userSchema.pre('save', function(next) {
+  if (this.isModified('firstName') || this.isModified('lastName')) {
+    this.firstNameSearch = normalizeName(this.firstName);
+    this.lastNameSearch = normalizeName(this.lastName);
+    this.fullNameSearch = normalizeName(`${this.firstName} ${this.lastName}`);
+  }
+  next();
+});
+
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
   
@@ -65,10 +220,9 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-userSchema.methods.cleanExpiredTokens = function() {
-  this.refreshTokens = this.refreshTokens.filter(
-    tokenObj => tokenObj.createdAt.getTime() + (7 * 24 * 60 * 60 * 1000) > Date.now()
-  );
-};
+userSchema.statics.ROLES = ROLES;
+userSchema.statics.VISIBILITY_LEVELS = VISIBILITY_LEVELS;
+userSchema.statics.SOCIAL_PLATFORMS = SOCIAL_PLATFORMS;
+userSchema.statics.PRIVACY_DEFAULTS = PRIVACY_DEFAULTS;
 
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,318 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/user');
+const { requireAuth } = require('../middleware/auth');
+const { startSession, revokeAllSessions } = require('../utils/sessionUtils');
+const { issueActionToken, consumeActionToken, revokeActionTokens } = require('../utils/actionTokenUtils');
+const {
+  sendEmailChangeEmail,
+  sendEmailChangedNotice,
+  sendAccountDeletionEmail,
+  sendAccountActionEmail
+} = require('../utils/mailer');
+const {
+  DELETION_GRACE_DAYS,
+  confirmPassword,
+  deactivateAccount,
+  scheduleAccountDeletion
+} = require('../utils/accountUtils');
+
+const router = express.Router();
+
+const validatePasswordChange = [
+  body('currentPassword')
+    .optional()
+    .isString(),
+  body('confirmationToken')
+    .optional()
+    .isString(),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[A-Za-z])(?=.*\d)/)
+    .withMessage('Password must contain at least one letter and one number')
+];
+
+const validateEmailChange = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('password')
+    .optional()
+    .isString(),
+  body('confirmationToken')
+    .optional()
+    .isString()
+];
+
+const validateToken = [
+  body('token').isString().notEmpty().withMessage('Token is required')
+];
+
+const validatePasswordConfirmation = [
+  body('password')
+    .optional()
+    .isString(),
+  body('confirmationToken')
+    .optional()
+    .isString()
+];
+
+const handleError = (res, error, message = 'Internal server error') => {
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    error: message,
+    ...(process.env.NODE_ENV === 'development' && { details: error.message })
+  });
+};
+
+const handleValidationError = (res, errors) => {
+  return res.status(400).json({
+    error: 'Validation failed',
+    details: errors.array()
+  });
+};
+
+// Risky changes need more than the access token. Accounts with a password
+// re-enter it. Google-only accounts confirm from their inbox instead: the
+// first request mails a link and is answered 202, then the client repeats
+// it with the link's token as `confirmationToken`. The token is bound to
+// `email`, the new address for an email change. Resolves to true when the
+// change may go ahead; otherwise the response has been sent.
+const confirmOwner = async (req, res, user, {
+  action,
+  password,
+  email = user.email,
+  passwordError = 'Password is incorrect'
+}) => {
+  if (user.password) {
+    if (await confirmPassword(user, password)) return true;
+    res.status(401).json({ error: passwordError });
+    return false;
+  }
+
+  const { confirmationToken } = req.body;
+  if (confirmationToken === undefined) {
+    const token = await issueActionToken(user, `confirm_${action}`, email);
+    await sendAccountActionEmail(user, action, token);
+    res.status(202).json({
+      message: 'Check your inbox to confirm this change',
+      confirmationRequired: true
+    });
+    return false;
+  }
+
+  const payload = await consumeActionToken(confirmationToken, `confirm_${action}`);
+  if (!payload || String(payload.id) !== String(user._id) || payload.email !== email) {
+    res.status(401).json({ error: 'Invalid or expired confirmation token' });
+    return false;
+  }
+  return true;
+};
+
+// PUT /api/account/password - Change (or, for Google-only accounts, set) the password
+router.put('/password', requireAuth, validatePasswordChange, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return handleValidationError(res, errors);
+    }
+
+    const user = await User.findById(req.user._id);
+    const confirmed = await confirmOwner(req, res, user, {
+      action: 'set_password',
+      password: req.body.currentPassword,
+      passwordError: 'Current password is incorrect'
+    });
+    if (!confirmed) return;
+
+    user.password = req.body.newPassword;
+    await user.save();
+    await revokeActionTokens(user._id, 'reset_password');
+
+    // Every other session ends; the caller gets a fresh one to carry on with
+    user.tokenVersion = await revokeAllSessions(user._id);
+    const { tokens: { accessToken, refreshToken } } = await startSession(user, req);
+
+    res.json({
+      message: 'Password changed successfully. Other sessions have been logged out.',
+      tokens: {
+        accessToken,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Change password error');
+  }
+});
+
+// POST /api/account/email - Start an email change; the new address must be verified
+router.post('/email', requireAuth, validateEmailChange, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return handleValidationError(res, errors);
+    }
+
+    const { email } = req.body;
+    const user = await User.findById(req.user._id);
+    const confirmed = await confirmOwner(req, res, user, {
+      action: 'change_email',
+      password: req.body.password,
+      email
+    });
+    if (!confirmed) return;
+
+    if (email === user.email) {
+      return res.status(400).json({ error: 'That is already your email address' });
+    }
+    if (await User.exists({ email })) {
+      return res.status(409).json({ error: 'User already exists with this email' });
+    }
+
+    user.pendingEmail = email;
+    await user.save();
+
+    const token = await issueActionToken(user, 'change_email', email);
+    await sendEmailChangeEmail(user, email, token);
+
+    res.json({
+      message: 'Check your new inbox to confirm the change',
+      pendingEmail: email
+    });
+  } catch (error) {
+    handleError(res, error, 'Change email error');
+  }
+});
+
+// POST /api/account/email/confirm - Redeem the link sent to the new address
+router.post('/email/confirm', validateToken, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return handleValidationError(res, errors);
+    }
+
+    const payload = await consumeActionToken(req.body.token, 'change_email');
+    if (!payload) {
+      return res.status(400).json({ error: 'Invalid or expired confirmation token' });
+    }
+
+    // A later request for a different address voids this link
+    const user = await User.findById(payload.id);
+    if (!user || user.pendingEmail !== payload.email) {
+      return res.status(400).json({ error: 'Invalid or expired confirmation token' });
+    }
+    if (await User.exists({ email: payload.email, _id: { $ne: user._id } })) {
+      return res.status(409).json({ error: 'User already exists with this email' });
+    }
+
+    const oldEmail = user.email;
+    user.email = payload.email;
+    user.pendingEmail = null;
+    user.isVerified = true;
+    await user.save();
+    // Links mailed to the old address must not keep working
+    await revokeActionTokens(user._id, 'verify_email');
+    await revokeActionTokens(user._id, 'reset_password');
+
+    try {
+      await sendEmailChangedNotice(user, oldEmail);
+    } catch (error) {
+      console.error('Send email changed notice error:', error);
+    }
+
+    res.json({
+      message: 'Email address updated',
+      email: user.email
+    });
+  } catch (error) {
+    handleError(res, error, 'Confirm email change error');
+  }
+});
+
+// GET /api/account/google/link - URL that links the Google account with this account's email
+router.get('/google/link', requireAuth, async (req, res) => {
+  try {
+    const token = await issueActionToken(req.user, 'link_google');
+
+    res.json({
+      url: `${process.env.SERVER_URL}/api/auth/google?link=${encodeURIComponent(token)}`
+    });
+  } catch (error) {
+    handleError(res, error, 'Google link error');
+  }
+});
+
+// DELETE /api/account/google - Unlink Google
+router.delete('/google', requireAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user.googleId) {
+      return res.status(400).json({ error: 'No Google account is linked' });
+    }
+    // Without a password there would be no way back in
+    if (!user.password) {
+      return res.status(400).json({ error: 'Set a password before unlinking Google' });
+    }
+
+    user.googleId = undefined;
+    await user.save();
+
+    res.json({ message: 'Google account unlinked' });
+  } catch (error) {
+    handleError(res, error, 'Google unlink error');
+  }
+});
+
+// POST /api/account/deactivate - Hide the account until the next login
+router.post('/deactivate', requireAuth, validatePasswordConfirmation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return handleValidationError(res, errors);
+    }
+
+    const user = await User.findById(req.user._id);
+    const confirmed = await confirmOwner(req, res, user, { action: 'deactivate', password: req.body.password });
+    if (!confirmed) return;
+
+    await deactivateAccount(user);
+
+    res.json({ message: 'Account deactivated. Log in again at any time to restore it.' });
+  } catch (error) {
+    handleError(res, error, 'Deactivate account error');
+  }
+});
+
+// POST /api/account/delete - Schedule permanent deletion after a grace period
+router.post('/delete', requireAuth, validatePasswordConfirmation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return handleValidationError(res, errors);
+    }
+
+    const user = await User.findById(req.user._id);
+    const confirmed = await confirmOwner(req, res, user, { action: 'delete', password: req.body.password });
+    if (!confirmed) return;
+
+    await scheduleAccountDeletion(user);
+
+    try {
+      await sendAccountDeletionEmail(user);
+    } catch (error) {
+      console.error('Send account deletion email error:', error);
+    }
+
+    res.json({
+      message: `Account scheduled for deletion in ${DELETION_GRACE_DAYS} days. Log in before then to cancel.`,
+      deletionScheduledAt: user.deletionScheduledAt
+    });
+  } catch (error) {
+    handleError(res, error, 'Delete account error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,294 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, param, query, validationResult } = require('express-validator');
+const User = require('../models/user');
+const AuditLog = require('../models/auditLog');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../config/roles');
+const { recordAudit } = require('../utils/auditUtils');
+const { isSuspended, suspendUser, liftSuspension } = require('../utils/suspensionUtils');
+const { decodeCursor, encodeCursor, parseLimit, cursorValues, keysetFilter } = require('../utils/pagination');
+
+const router = express.Router();
+
+const AUDIT_SORT = { createdAt: -1, _id: -1 };
+const STAFF_SELECT = 'firstName lastName email avatar role createdAt';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SUSPENSION_DAYS = 365;
+
+const validateUserId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid user ID')
+];
+
+const validateRoleChange = [
+  body('role')
+    .isIn(User.ROLES)
+    .withMessage(`Role must be one of: ${User.ROLES.join(', ')}`),
+  body('reason')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters')
+];
+
+const validateReason = [
+  body('reason')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters')
+];
+
+const validateBan = [
+  ...validateReason,
+  body('hideContent')
+    .optional()
+    .isBoolean()
+    .withMessage('hideContent must be a boolean')
+    .toBoolean()
+];
+
+const validateSuspension = [
+  ...validateBan,
+  body('durationDays')
+    .isInt({ min: 1, max: MAX_SUSPENSION_DAYS })
+    .withMessage(`durationDays must be between 1 and ${MAX_SUSPENSION_DAYS}`)
+    .toInt()
+];
+
+const validateAuditQuery = [
+  query('actor')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid actor ID'),
+  query('targetId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid target ID'),
+  query('targetType')
+    .optional()
+    .isIn(AuditLog.TARGET_TYPES)
+    .withMessage(`Target type must be one of: ${AuditLog.TARGET_TYPES.join(', ')}`),
+  query('action')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+];
+
+const handleError = (res, error, message = 'Internal server error') => {
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    error: message,
+    ...(process.env.NODE_ENV === 'development' && { details: error.message })
+  });
+};
+
+const handleValidationError = (res, errors) => {
+  return res.status(400).json({
+    error: 'Validation failed',
+    details: errors.array()
+  });
+};
+
+// GET /api/admin/staff - Everyone with a role above "user"
+router.get('/staff', requireAuth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const staff = await User.find({ role: { $ne: 'user' } })
+      .select(STAFF_SELECT)
+      .sort({ role: 1, lastName: 1, firstName: 1 })
+      .lean();
+
+    res.json({ staff });
+  } catch (error) {
+    handleError(res, error, 'Get staff error');
+  }
+});
+
+// PUT /api/admin/users/:id/role - Promote or demote a user
+router.put('/users/:id/role', requireAuth, requirePermission('users:manage'), validateUserId, validateRoleChange, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return handleValidationError(res, errors);
+    }
+
+    // Admins can't demote themselves, so there is always at least one left
+    if (req.user._id.equals(req.params.id)) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+
+    const { role, reason } = req.body;
+    const user = await User.findById(req.params.id).select(STAFF_SELECT);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.role === role) {
+      return res.status(409).json({ error: `User is already ${role === 'admin' ? 'an' : 'a'} ${role}` });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+    await recordAudit(req, {
+      action: 'user.role_change',
+      targetType: 'user',
+      targetId: user._id,
+      reason,
+      details: { from: previousRole, to: role, name: `${user.firstName} ${user.lastName}` }
+    });
+
+    res.json({
+      message: 'Role updated',
+      user
+    });
+  } catch (error) {
+    handleError(res, error, 'Change role error');
+  }
+});
+
+// Suspends (until set) or bans (until null) the user in the URL, after the
+// checks both share
+const restrictUser = async (req, res, until) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return handleValidationError(res, errors);
+  }
+  if (req.user._id.equals(req.params.id)) {
+    return res.status(400).json({ error: 'You cannot suspend yourself' });
+  }
+
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  if (user.role !== 'user') {
+    return res.status(403).json({ error: 'Moderators and admins cannot be suspended; change their role first' });
+  }
+  // Turning a ban into a suspension would shorten it
+  if (until && isSuspended(user) && !user.suspension.until) {
+    return res.status(409).json({ error: 'User is already banned' });
+  }
+
+  const { reason, hideContent = false } = req.body;
+  await suspendUser(user, { until, reason: reason || null, by: req.user._id, hideContent });
+  await recordAudit(req, {
+    action: until ? 'user.suspend' : 'user.ban',
+    targetType: 'user',
+    targetId: user._id,
+    reason,
+    details: {
+      ...(until && { until, durationDays: req.body.durationDays }),
+      contentHidden: user.suspension.contentHidden
+    }
+  });
+
+  res.json({
+    message: until ? 'User suspended' : 'User banned',
+    suspension: user.suspension
+  });
+};
+
+// POST /api/admin/users/:id/suspend - Suspend for durationDays; body reason, hideContent
+router.post('/users/:id/suspend', requireAuth, requirePermission('users:suspend'), validateUserId, validateSuspension, async (req, res) => {
+  try {
+    await restrictUser(req, res, new Date(Date.now() + req.body.durationDays * DAY_MS));
+  } catch (error) {
+    handleError(res, error, 'Suspend user error');
+  }
+});
+
+// POST /api/admin/users/:id/ban - Permanent ban; body reason, hideContent
+router.post('/users/:id/ban', requireAuth, requirePermission('users:ban'), validateUserId, validateBan, async (req, res) => {
+  try {
+    await restrictUser(req, res, null);
+  } catch (error) {
+    handleError(res, error, 'Ban user error');
+  }
+});
+
+// DELETE /api/admin/users/:id/suspension - Lift a suspension or ban early
+router.delete('/users/:id/suspension', requireAuth, requirePermission('users:suspend'), validateUserId, validateReason, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return handleValidationError(res, errors);
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!isSuspended(user)) {
+      return res.status(409).json({ error: 'User is not suspended' });
+    }
+    const banned = !user.suspension.until;
+    if (banned && !hasPermission(req.user, 'users:ban')) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+
+    await liftSuspension(user);
+    await recordAudit(req, {
+      action: banned ? 'user.unban' : 'user.unsuspend',
+      targetType: 'user',
+      targetId: user._id,
+      reason: req.body.reason
+    });
+
+    res.json({ message: banned ? 'Ban lifted' : 'Suspension lifted' });
+  } catch (error) {
+    handleError(res, error, 'Lift suspension error');
+  }
+});
+
+// GET /api/admin/audit-log - Privileged actions, newest first
+// ?actor=&action=&targetType=&targetId= narrow it down (cursor paginated)
+router.get('/audit-log', requireAuth, requirePermission('audit:read'), validateAuditQuery, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return handleValidationError(res, errors);
+    }
+
+    const { actor, action, targetType, targetId } = req.query;
+    const limit = parseLimit(req.query.limit, 50, 100);
+    const filter = {};
+    if (actor) filter.actor = new mongoose.Types.ObjectId(actor);
+    if (action) filter.action = action;
+    if (targetType) filter.targetType = targetType;
+    if (targetId) filter.targetId = new mongoose.Types.ObjectId(targetId);
+
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor || !Array.isArray(cursor.after) || cursor.after.length !== 2) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      Object.assign(filter, keysetFilter(AUDIT_SORT, cursor.after));
+    }
+
+    const entries = await AuditLog.find(filter)
+      .populate('actor', 'firstName lastName')
+      .sort(AUDIT_SORT)
+      .limit(limit + 1)
+      .lean();
+
+    const hasMore = entries.length > limit;
+    const page = entries.slice(0, limit);
+    const nextCursor = hasMore
+      ? encodeCursor({ after: cursorValues(page[page.length - 1], AUDIT_SORT) })
+      : null;
+
+    res.json({
+      entries: page,
+      nextCursor,
+      hasMore
+    });
+  } catch (error) {
+    handleError(res, error, 'Get audit log error');
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,24 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const passport = require('passport');
 const User = require('../models/user');
-const { generateTokens, verifyRefreshToken } = require('../utils/tokenUtils');
+const Session = require('../models/session');
+const { verifyRefreshToken } = require('../utils/tokenUtils');
 const { requireAuth } = require('../middleware/auth');
+const { limit, loginLockout, clearLoginFailures } = require('../middleware/rateLimit');
+const { issueActionToken, consumeActionToken, revokeActionTokens } = require('../utils/actionTokenUtils');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/mailer');
+const { reactivateAccount } = require('../utils/accountUtils');
+const { isSuspended, suspensionError, liftSuspension } = require('../utils/suspensionUtils');
+const {
+  startSession,
+  rotateSession,
+  endSessionByToken,
+  revokeSession,
+  revokeAllSessions,
+  describeSession
+} = require('../utils/sessionUtils');
+const { safeReturnTo, createOAuthState, verifyOAuthState } = require('../utils/oauthUtils');
 
 const router = express.Router();
 
@@ -11,6 +26,12 @@ router.get('/ping', (req, res) => {
   res.send('pong');
 });
 
+const passwordRules = (field) => body(field)
+  .isLength({ min: 6 })
+  .withMessage('Password must be at least 6 characters long')
+  .matches(/^(?=.*[A-Za-z])(?=.*\d)/)
+  .withMessage('Password must contain at least one letter and one number');
+
 const validateSignup = [
   body('firstName')
     .trim()
@@ -24,20 +45,49 @@ const validateSignup = [
     .isEmail()
     .normalizeEmail()
     .withMessage('Please provide a valid email'),
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
-    .matches(/^(?=.*[A-Za-z])(?=.*\d)/)
-    .withMessage('Password must contain at least one letter and one number')
+  passwordRules('password')
+];
+
+const validateEmailOnly = [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
+];
+
+const validateToken = [
+  body('token').isString().notEmpty().withMessage('Token is required')
+];
+
+const validateResetPassword = [
+  ...validateToken,
+  passwordRules('password')
+];
+
+const validateCode = [
+  body('code').isString().notEmpty().withMessage('Code is required')
+];
+
+const validateSessionId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid session ID')
 ];
 
+// Email failures are logged, never surfaced: the account change already happened
+const sendVerification = async (user) => {
+  try {
+    const token = await issueActionToken(user, 'verify_email');
+    await sendVerificationEmail(user, token);
+  } catch (error) {
+    console.error('Send verification email error:', error);
+  }
+};
+
 const validateLogin = [
   body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
   body('password').notEmpty().withMessage('Password is required')
 ];
 
 // POST /api/auth/signup
-router.post('/signup', validateSignup, async (req, res) => {
+router.post('/signup', limit('signup'), validateSignup, async (req, res) => {
   console.time('signup');
   try {
     const errors = validationResult(req);
@@ -61,15 +111,12 @@ router.post('/signup', validateSignup, async (req, res) => {
       firstName,
       lastName,
       email,
-      password,
-      refreshTokens: []
+      password
     });
 
-
-    const { accessToken, refreshToken } = generateTokens(user._id);
-    user.refreshTokens.push({ token: refreshToken });
-
     await user.save();
+    const { tokens: { accessToken, refreshToken } } = await startSession(user, req);
+    await sendVerification(user);
 
     console.timeEnd('signup');
 
@@ -94,7 +141,7 @@ router.post('/signup', validateSignup, async (req, res) => {
 });
 
 // POST /api/auth/login
-router.post('/login', validateLogin, async (req, res) => {
+router.post('/login', limit('login'), validateLogin, loginLockout, async (req, res) => {
   console.time('login');
   try {
     const errors = validationResult(req);
@@ -117,17 +164,29 @@ router.post('/login', validateLogin, async (req, res) => {
     if (!isMatch) {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
+    await clearLoginFailures(email, req.ip);
 
-    user.cleanExpiredTokens();
+    if (isSuspended(user)) {
+      return res.status(403).json(suspensionError(user));
+    }
+    // A suspension that ran out before the sweeper got to it
+    if (user.suspension) {
+      await liftSuspension(user);
+    }
 
-    const { accessToken, refreshToken } = generateTokens(user._id);
-    user.refreshTokens.push({ token: refreshToken });
-    await user.save();
+    // Logging in is how a deactivated account comes back, pending deletion included
+    const reactivated = !!user.deactivatedAt;
+    if (reactivated) {
+      await reactivateAccount(user);
+    }
+
+    const { tokens: { accessToken, refreshToken } } = await startSession(user, req);
 
     console.timeEnd('login');
 
     res.json({
-      message: 'Login successful',
+      message: reactivated ? 'Login successful. Your account has been reactivated.' : 'Login successful',
+      reactivated,
       user: {
         id: user._id,
         firstName: user.firstName,
@@ -161,26 +220,19 @@ router.post('/refresh', async (req, res) => {
     }
 
     const user = await User.findById(decoded.id);
-    if (!user) {
+    if (!user || user.deactivatedAt) {
       return res.status(401).json({ error: 'User not found' });
     }
+    if (isSuspended(user)) {
+      return res.status(403).json(suspensionError(user));
+    }
 
-    const tokenExists = user.refreshTokens.some(tokenObj => tokenObj.token === refreshToken);
-    if (!tokenExists) {
+    const rotated = await rotateSession(user, decoded, refreshToken, req);
+    if (!rotated) {
       return res.status(401).json({ error: 'Invalid refresh token' });
     }
 
-    const { accessToken, refreshToken: newRefreshToken } = generateTokens(user._id);
-    user.refreshTokens = user.refreshTokens.filter(tokenObj => tokenObj.token !== refreshToken);
-    user.refreshTokens.push({ token: newRefreshToken });
-    await user.save();
-
-    res.json({
-      tokens: {
-        accessToken,
-        refreshToken: newRefreshToken
-      }
-    });
+    res.json({ tokens: rotated.tokens });
   } catch (error) {
     console.error('Refresh token error:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -191,15 +243,13 @@ router.post('/refresh', async (req, res) => {
 router.post('/logout', requireAuth, async (req, res) => {
   try {
     const { refreshToken } = req.body;
-    const user = await User.findById(req.user.id);
 
-    if (refreshToken) {
-      user.refreshTokens = user.refreshTokens.filter(tokenObj => tokenObj.token !== refreshToken);
+    if (typeof refreshToken === 'string') {
+      await endSessionByToken(req.user._id, refreshToken);
     } else {
-      user.refreshTokens = [];
+      await revokeAllSessions(req.user._id);
     }
 
-    await user.save();
     res.json({ message: 'Logged out successfully' });
   } catch (error) {
     console.error('Logout error:', error);
@@ -207,22 +257,94 @@ router.post('/logout', requireAuth, async (req, res) => {
   }
 });
 
-// Google OAuth routes
-router.get('/google', passport.authenticate('google', {
-  scope: ['profile', 'email']
-}));
+// GET /api/auth/sessions - Devices signed in to this account, most recently used first
+router.get('/sessions', requireAuth, async (req, res) => {
+  try {
+    const sessions = await Session.find({ user: req.user._id, expiresAt: { $gt: new Date() } })
+      .sort({ lastUsedAt: -1 });
+
+    res.json({
+      sessions: sessions.map(session => describeSession(session, req.sessionId))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/auth/sessions/:id - Sign a device out
+router.delete('/sessions/:id', requireAuth, validateSessionId, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const session = await revokeSession(req.user._id, req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Google OAuth routes. ?returnTo= is a client path (see RETURN_TO_ALLOWLIST)
+// to land on afterwards; ?link= carries a token from GET
+// /api/account/google/link. Both travel through Google in the signed state.
+router.get('/google', (req, res, next) => {
+  const state = createOAuthState(res, {
+    returnTo: safeReturnTo(req.query.returnTo),
+    link: typeof req.query.link === 'string' ? req.query.link : null
+  });
+
+  passport.authenticate('google', {
+    scope: ['profile', 'email'],
+    session: false,
+    state
+  })(req, res, next);
+});
 
 router.get('/google/callback',
-  passport.authenticate('google', { session: false }),
+  (req, res, next) => {
+    req.oauthState = verifyOAuthState(req, res);
+    if (!req.oauthState) {
+      return res.redirect(`${process.env.CLIENT_URL}/auth/error`);
+    }
+
+    passport.authenticate('google', {
+      session: false,
+      failureRedirect: `${process.env.CLIENT_URL}/auth/error`
+    })(req, res, next);
+  },
   async (req, res) => {
     try {
-      const { accessToken, refreshToken } = generateTokens(req.user._id);
+      // Linking to a signed-in account issues no new tokens
+      if (req.authInfo && req.authInfo.linked) {
+        return res.redirect(`${process.env.CLIENT_URL}/settings/account?google=linked`);
+      }
+
       const user = await User.findById(req.user._id);
-      user.refreshTokens.push({ token: refreshToken });
-      await user.save();
+      // Suspended accounts stay as they are, deactivated or not
+      if (isSuspended(user)) {
+        return res.redirect(`${process.env.CLIENT_URL}/auth/error?reason=${suspensionError(user).code}`);
+      }
+      if (user.deactivatedAt) {
+        await reactivateAccount(user);
+      }
+
+      // Tokens never go in the URL: the client trades this code for them
+      const code = await issueActionToken(user, 'google_login', null);
+      const params = new URLSearchParams({ code });
+      if (req.oauthState.returnTo) params.set('returnTo', req.oauthState.returnTo);
 
-      const redirectUrl = `${process.env.CLIENT_URL}/auth/success?accessToken=${accessToken}&refreshToken=${refreshToken}`;
-      res.redirect(redirectUrl);
+      res.redirect(`${process.env.CLIENT_URL}/auth/success?${params}`);
     } catch (error) {
       console.error('Google callback error:', error);
       res.redirect(`${process.env.CLIENT_URL}/auth/error`);
@@ -230,6 +352,175 @@ router.get('/google/callback',
   }
 );
 
+// POST /api/auth/google/exchange - Trade the callback's one-time code for tokens
+router.post('/google/exchange', validateCode, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const payload = await consumeActionToken(req.body.code, 'google_login');
+    if (!payload) {
+      return res.status(400).json({ error: 'Invalid or expired authorization code' });
+    }
+
+    const user = await User.findById(payload.id);
+    if (!user || user.deactivatedAt) {
+      return res.status(400).json({ error: 'Invalid or expired authorization code' });
+    }
+    if (isSuspended(user)) {
+      return res.status(403).json(suspensionError(user));
+    }
+    if (user.suspension) {
+      await liftSuspension(user);
+    }
+
+    const { tokens } = await startSession(user, req);
+
+    res.json({
+      message: 'Login successful',
+      user: {
+        id: user._id,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        isVerified: user.isVerified
+      },
+      tokens
+    });
+  } catch (error) {
+    console.error('Google exchange error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/auth/verify-email
+router.post('/verify-email', validateToken, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const payload = await consumeActionToken(req.body.token, 'verify_email');
+    if (!payload) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
+
+    const user = await User.findById(payload.id);
+    if (!user || user.email !== payload.email) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
+
+    user.isVerified = true;
+    await user.save();
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/auth/resend-verification
+router.post('/resend-verification', validateEmailOnly, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    // Same answer whether or not the account exists, so this can't be used
+    // to find out who is registered
+    const user = await User.findOne({ email: req.body.email });
+    if (user && !user.isVerified) {
+      await sendVerification(user);
+    }
+
+    res.json({ message: 'If that account needs verifying, a new email is on its way' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/auth/forgot-password
+router.post('/forgot-password', validateEmailOnly, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+    if (user) {
+      try {
+        const token = await issueActionToken(user, 'reset_password');
+        await sendPasswordResetEmail(user, token);
+      } catch (error) {
+        console.error('Send password reset email error:', error);
+      }
+    }
+
+    res.json({ message: 'If an account exists for that email, a reset link is on its way' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/auth/reset-password
+router.post('/reset-password', validateResetPassword, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const payload = await consumeActionToken(req.body.token, 'reset_password');
+    if (!payload) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    const user = await User.findById(payload.id);
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    user.password = req.body.password;
+    // The reset link proved the user controls this address
+    if (user.email === payload.email) {
+      user.isVerified = true;
+    }
+    await user.save();
+    // Every existing session goes: whoever had the old password is logged out
+    await revokeAllSessions(user._id);
+    await revokeActionTokens(user._id, 'reset_password');
+    await clearLoginFailures(user.email, req.ip);
+
+    res.json({ message: 'Password reset successfully. Please log in again.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // GET /api/auth/me (Protected route)
 router.get('/me', requireAuth, (req, res) => {
   res.json({
@@ -239,6 +530,7 @@ router.get('/me', requireAuth, (req, res) => {
       lastName: req.user.lastName,
       email: req.user.email,
       isVerified: req.user.isVerified,
+      role: req.user.role,
       createdAt: req.user.createdAt
     }
   });
@@ -0,0 +1,387 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const Comment = require('../models/comment');
+const Post = require('../models/post');
+const { requireAuth, optionalAuth, requirePermission } = require('../middleware/auth');
+const { limit } = require('../middleware/rateLimit');
+const { hasPermission } = require('../config/roles');
+const { getBlockedUserIds, hasBlocked } = require('../utils/connectionUtils');
+const { notify, notifyMentions } = require('../utils/notificationUtils');
+const { publishPostCounts } = require('../utils/realtimeUtils');
+const { deleteCommentThread } = require('../utils/commentUtils');
+const { decodeCursor, encodeCursor, parseLimit, cursorValues, keysetFilter } = require('../utils/pagination');
+const { hideContent, unhideContent } = require('../utils/moderationUtils');
+const { recordAudit } = require('../utils/auditUtils');
+const { runContentFilters } = require('../utils/contentFilterUtils');
+const { flagContent } = require('../utils/reportUtils');
+const { findVisiblePost } = require('../utils/postUtils');
+
+// Mounted under /api/posts/:postId/comments
+const router = express.Router({ mergeParams: true });
+
+const THREAD_SORT = { createdAt: 1, _id: 1 };
+
+const validatePostId = [
+  param('postId')
+    .isMongoId()
+    .withMessage('Invalid post ID')
+];
+
+const validateCommentId = [
+  param('commentId')
+    .isMongoId()
+    .withMessage('Invalid comment ID')
+];
+
+const validateComment = [
+  body('content')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Comment must be between 1 and 1000 characters')
+];
+
+const validateParent = [
+  body('parentId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid parent comment ID')
+];
+
+const validateModerationReason = [
+  body('reason')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters')
+];
+
+// The rule the comment list applies, for a single comment: moderators see
+// everything; others miss hidden comments (bar their own) and those of
+// suspended authors whose content was hidden
+const canViewComment = (comment, user) => {
+  if (!comment) return false;
+  if (hasPermission(user, 'content:moderate')) return true;
+  if (comment.authorSuspended) return false;
+  return !comment.hiddenAt || (!!user && comment.author.equals(user._id));
+};
+
+const handleError = (res, error, message = 'Internal server error') => {
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    error: message,
+    ...(process.env.NODE_ENV === 'development' && { details: error.message })
+  });
+};
+
+const handleValidationError = (res, errors) => {
+  return res.status(400).json({
+    error: 'Validation failed',
+    details: errors.array()
+  });
+};
+
+// GET /api/posts/:postId/comments - Top-level comments, or replies with ?parentId=
+router.get('/', optionalAuth, validatePostId, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return handleValidationError(res, errors);
+    }
+
+    const { parentId } = req.query;
+    if (parentId && !mongoose.isValidObjectId(parentId)) {
+      return res.status(400).json({ error: 'Invalid parent comment ID' });
+    }
+
+    const post = await findVisiblePost(req.params.postId, req.user);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    // Replies are only listed while their comment is visible
+    if (parentId) {
+      const parent = await Comment.findOne({ _id: parentId, post: post._id }).select('author hiddenAt authorSuspended');
+      if (!canViewComment(parent, req.user) || (req.user && await hasBlocked(parent.author, req.user._id))) {
+        return res.status(404).json({ error: 'Parent comment not found' });
+      }
+    }
+
+    const limit = parseLimit(req.query.limit, 20, 100);
+    const filter = {
+      post: post._id,
+      parentId: parentId ? new mongoose.Types.ObjectId(parentId) : null
+    };
+
+    if (req.user) {
+      filter.author = { $nin: await getBlockedUserIds(req.user._id) };
+    }
+
+    // Moderators see everything. Everyone else misses hidden comments (bar
+    // their own) and those of suspended authors whose content was hidden.
+    if (!req.user) {
+      filter.hiddenAt = null;
+      filter.authorSuspended = { $ne: true };
+    } else if (!hasPermission(req.user, 'content:moderate')) {
+      filter.authorSuspended = { $ne: true };
+      filter.$and = [{ $or: [{ hiddenAt: null }, { author: req.user._id }] }];
+    }
+
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor || !Array.isArray(cursor.after) || cursor.after.length !== 2) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      Object.assign(filter, keysetFilter(THREAD_SORT, cursor.after));
+    }
+
+    const comments = await Comment.find(filter)
+      .populate('author', 'firstName lastName')
+      .sort(THREAD_SORT)
+      .limit(limit + 1)
+      .lean();
+
+    const hasMore = comments.length > limit;
+    const page = comments.slice(0, limit);
+    const nextCursor = hasMore
+      ? encodeCursor({ after: cursorValues(page[page.length - 1], THREAD_SORT) })
+      : null;
+
+    res.json({
+      comments: page,
+      nextCursor,
+      hasMore
+    });
+  } catch (error) {
+    handleError(res, error, 'Get comments error');
+  }
+});
+
+// POST /api/posts/:postId/comments
+router.post('/', requireAuth, limit('comments'), validatePostId, validateComment, validateParent, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return handleValidationError(res, errors);
+    }
+
+    const post = await findVisiblePost(req.params.postId, req.user);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    const { content, parentId } = req.body;
+
+    let parent = null;
+    if (parentId) {
+      parent = await Comment.findOne({ _id: parentId, post: post._id });
+      if (!canViewComment(parent, req.user) || await hasBlocked(parent.author, req.user._id)) {
+        return res.status(404).json({ error: 'Parent comment not found' });
+      }
+    }
+    // Replying to a reply continues the same thread; the notification still
+    // goes to whoever wrote the comment being answered
+    const threadId = parent ? (parent.parentId || parent._id) : null;
+
+    const screening = await runContentFilters({
+      targetType: 'comment',
+      action: 'create',
+      authorId: req.user._id,
+      title: null,
+      content,
+      doc: null
+    });
+    if (screening.verdict === 'reject') {
+      return res.status(screening.status).json({ error: screening.reason });
+    }
+
+    const comment = new Comment({
+      post: post._id,
+      author: req.user._id,
+      parentId: threadId,
+      content
+    });
+
+    await comment.save();
+    await Post.updateOne({ _id: post._id }, { $inc: { commentsCount: 1 } });
+    if (threadId) {
+      await Comment.updateOne({ _id: threadId }, { $inc: { repliesCount: 1 } });
+    }
+    if (screening.verdict === 'flag') {
+      await flagContent('comment', comment, screening.reasons);
+    }
+
+    // A reply to the post author's own comment is news enough on its own
+    const notified = [];
+    if (parent) {
+      await notify({ recipient: parent.author, actor: req.user._id, type: 'reply', post: post._id, comment: parent._id });
+      notified.push(parent.author);
+    }
+    if (!parent || !parent.author.equals(post.author)) {
+      await notify({ recipient: post.author, actor: req.user._id, type: 'comment', post: post._id, comment: comment._id });
+      notified.push(post.author);
+    }
+    await notifyMentions({ text: content, actor: req.user._id, post: post._id, comment: comment._id, exclude: notified });
+    await publishPostCounts(post._id);
+
+    await comment.populate('author', 'firstName lastName');
+
+    res.status(201).json({
+      message: 'Comment added successfully',
+      comment
+    });
+  } catch (error) {
+    handleError(res, error, 'Add comment error');
+  }
+});
+
+// PUT /api/posts/:postId/comments/:commentId - Author only
+router.put('/:commentId', requireAuth, validatePostId, validateCommentId, validateComment, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return handleValidationError(res, errors);
+    }
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, post: req.params.postId });
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    if (!comment.author.equals(req.user._id)) {
+      return res.status(403).json({ error: 'Not authorized to edit this comment' });
+    }
+
+    const { content } = req.body;
+    const screening = content !== comment.content
+      ? await runContentFilters({ targetType: 'comment', action: 'update', authorId: req.user._id, title: null, content, doc: comment })
+      : { verdict: 'allow' };
+    if (screening.verdict === 'reject') {
+      return res.status(screening.status).json({ error: screening.reason });
+    }
+
+    comment.content = content;
+    comment.editedAt = new Date();
+
+    await comment.save();
+    if (screening.verdict === 'flag') {
+      await flagContent('comment', comment, screening.reasons);
+    }
+    await comment.populate('author', 'firstName lastName');
+
+    res.json({
+      message: 'Comment updated successfully',
+      comment
+    });
+  } catch (error) {
+    handleError(res, error, 'Update comment error');
+  }
+});
+
+// DELETE /api/posts/:postId/comments/:commentId - Comment author, post author
+// or a moderator (audited, optional body.reason)
+router.delete('/:commentId', requireAuth, validatePostId, validateCommentId, validateModerationReason, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return handleValidationError(res, errors);
+    }
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, post: req.params.postId });
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    const post = await Post.findById(comment.post).select('author');
+    const isCommentAuthor = comment.author.equals(req.user._id);
+    const isPostAuthor = post && post.author.equals(req.user._id);
+    const asModerator = !isCommentAuthor && !isPostAuthor;
+    if (asModerator && !hasPermission(req.user, 'content:moderate')) {
+      return res.status(403).json({ error: 'Not authorized to delete this comment' });
+    }
+
+    const deletedCount = await deleteCommentThread(comment);
+    if (asModerator) {
+      await recordAudit(req, {
+        action: 'comment.delete',
+        targetType: 'comment',
+        targetId: comment._id,
+        reason: req.body.reason,
+        details: { author: comment.author, post: comment.post, content: comment.content, deletedCount }
+      });
+    }
+
+    res.json({
+      message: 'Comment deleted successfully',
+      deletedCount
+    });
+  } catch (error) {
+    handleError(res, error, 'Delete comment error');
+  }
+});
+
+// POST /api/posts/:postId/comments/:commentId/hide - Moderators only
+router.post('/:commentId/hide', requireAuth, requirePermission('content:moderate'), validatePostId, validateCommentId, validateModerationReason, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return handleValidationError(res, errors);
+    }
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, post: req.params.postId });
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    if (comment.hiddenAt) {
+      return res.status(409).json({ error: 'Comment is already hidden' });
+    }
+
+    await hideContent(comment, req.user._id, req.body.reason);
+    await recordAudit(req, {
+      action: 'comment.hide',
+      targetType: 'comment',
+      targetId: comment._id,
+      reason: req.body.reason,
+      details: { author: comment.author, post: comment.post }
+    });
+
+    res.json({
+      message: 'Comment hidden',
+      comment: { _id: comment._id, hiddenAt: comment.hiddenAt, hiddenReason: comment.hiddenReason }
+    });
+  } catch (error) {
+    handleError(res, error, 'Hide comment error');
+  }
+});
+
+// DELETE /api/posts/:postId/comments/:commentId/hide - Moderators only
+router.delete('/:commentId/hide', requireAuth, requirePermission('content:moderate'), validatePostId, validateCommentId, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return handleValidationError(res, errors);
+    }
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, post: req.params.postId });
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    if (!comment.hiddenAt) {
+      return res.status(409).json({ error: 'Comment is not hidden' });
+    }
+
+    await unhideContent(comment);
+    await recordAudit(req, {
+      action: 'comment.unhide',
+      targetType: 'comment',
+      targetId: comment._id,
+      details: { author: comment.author, post: comment.post }
+    });
+
+    res.json({ message: 'Comment restored' });
+  } catch (error) {
+    handleError(res, error, 'Unhide comment error');
+  }
+});
+
+module.exports = router;
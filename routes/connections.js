@@ -1,12 +1,28 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const mongoose = require('mongoose'); // Add this import
 const Connection = require('../models/connection');
+const Follow = require('../models/follow');
 const User = require('../models/user');
 const { requireAuth } = require('../middleware/auth');
+const { limit } = require('../middleware/rateLimit');
+const { hasBlocked } = require('../utils/connectionUtils');
+const { notify } = require('../utils/notificationUtils');
+const { publishToUser } = require('../utils/realtimeUtils');
+const { CARD_SELECT, toCard } = require('../utils/profileUtils');
 
 const router = express.Router();
 
+// Both parties as profile cards, showing what `viewerId` may see of the other
+const withCards = (connection, viewerId, relation) => {
+  const card = (user) => toCard(user, user && user._id.equals(viewerId) ? 'self' : relation);
+  return {
+    ...connection.toObject(),
+    requester: card(connection.requester),
+    recipient: card(connection.recipient)
+  };
+};
+
 const validateConnectionRequest = [
   body('userId')
     .isMongoId()
@@ -18,8 +34,14 @@ const validateConnectionRequest = [
     .withMessage('Message must not exceed 500 characters')
 ];
 
+const validateBlockTarget = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Valid user ID is required')
+];
+
 // POST /api/connections/request 
-router.post('/request', requireAuth, validateConnectionRequest, async (req, res) => {
+router.post('/request', requireAuth, limit('connectionRequests'), validateConnectionRequest, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -35,7 +57,7 @@ router.post('/request', requireAuth, validateConnectionRequest, async (req, res)
     const targetUserId = new mongoose.Types.ObjectId(userId);
     const currentUserId = req.user._id;
 
-    const targetUser = await User.findById(targetUserId);
+    const targetUser = await User.findOne({ _id: targetUserId, deactivatedAt: null });
     if (!targetUser) {
       return res.status(404).json({ error: 'User not found' });
     }
@@ -44,6 +66,11 @@ router.post('/request', requireAuth, validateConnectionRequest, async (req, res)
       return res.status(400).json({ error: 'Cannot connect to yourself' });
     }
 
+    // Someone who blocked you is indistinguishable from someone who doesn't exist
+    if (await hasBlocked(targetUserId, currentUserId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
     const existingConnection = await Connection.findOne({
       $or: [
         { requester: currentUserId, recipient: targetUserId },
@@ -66,12 +93,21 @@ router.post('/request', requireAuth, validateConnectionRequest, async (req, res)
     });
 
     await connection.save();
-    await connection.populate('requester', 'firstName lastName email');
-    await connection.populate('recipient', 'firstName lastName email');
+    await notify({
+      recipient: targetUserId,
+      actor: currentUserId,
+      type: 'connection_request',
+      connection: connection._id
+    });
+    await connection.populate('requester', CARD_SELECT);
+    await connection.populate('recipient', CARD_SELECT);
+    await publishToUser(targetUserId, 'connection.request', {
+      connection: withCards(connection, targetUserId, 'public')
+    });
 
     res.status(201).json({
       message: 'Connection request sent successfully',
-      connection
+      connection: withCards(connection, currentUserId, 'public')
     });
   } catch (error) {
     console.error('Send connection request error:', error);
@@ -86,10 +122,10 @@ router.get('/requests', requireAuth, async (req, res) => {
       recipient: req.user._id,
       status: 'pending'
     })
-    .populate('requester', 'firstName lastName email')
+    .populate('requester', CARD_SELECT)
     .sort({ createdAt: -1 });
 
-    res.json(requests);
+    res.json(requests.map(request => withCards(request, req.user._id, 'public')));
   } catch (error) {
     console.error('Get connection requests error:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -103,10 +139,10 @@ router.get('/sent', requireAuth, async (req, res) => {
       requester: req.user._id,
       status: 'pending'
     })
-    .populate('recipient', 'firstName lastName email')
+    .populate('recipient', CARD_SELECT)
     .sort({ createdAt: -1 });
 
-    res.json(sentRequests);
+    res.json(sentRequests.map(request => withCards(request, req.user._id, 'public')));
   } catch (error) {
     console.error('Get sent requests error:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -131,13 +167,19 @@ router.put('/:id/accept', requireAuth, async (req, res) => {
 
     connection.status = 'accepted';
     await connection.save();
+    await notify({
+      recipient: connection.requester,
+      actor: req.user._id,
+      type: 'connection_accepted',
+      connection: connection._id
+    });
 
-    await connection.populate('requester', 'firstName lastName email');
-    await connection.populate('recipient', 'firstName lastName email');
+    await connection.populate('requester', CARD_SELECT);
+    await connection.populate('recipient', CARD_SELECT);
 
     res.json({
       message: 'Connection request accepted',
-      connection
+      connection: withCards(connection, req.user._id, 'connection')
     });
   } catch (error) {
     console.error('Accept connection error:', error);
@@ -184,6 +226,10 @@ router.delete('/:id', requireAuth, async (req, res) => {
       return res.status(403).json({ error: 'Not authorized to remove this connection' });
     }
 
+    if (connection.status === 'blocked') {
+      return res.status(400).json({ error: 'Use DELETE /api/connections/block/:userId to unblock' });
+    }
+
     await Connection.findByIdAndDelete(req.params.id);
 
     res.json({ message: 'Connection removed successfully' });
@@ -202,8 +248,8 @@ router.get('/', requireAuth, async (req, res) => {
         { recipient: req.user._id, status: 'accepted' }
       ]
     })
-    .populate('requester', 'firstName lastName email')
-    .populate('recipient', 'firstName lastName email')
+    .populate('requester', CARD_SELECT)
+    .populate('recipient', CARD_SELECT)
     .sort({ createdAt: -1 });
 
     const transformedConnections = connections.map(conn => {
@@ -213,7 +259,7 @@ router.get('/', requireAuth, async (req, res) => {
       
       return {
         _id: conn._id,
-        connectedUser,
+        connectedUser: toCard(connectedUser, 'connection'),
         connectedAt: conn.updatedAt,
         isRequester: conn.requester.equals(req.user._id)
       };
@@ -232,14 +278,17 @@ router.get('/status/:userId', requireAuth, async (req, res) => {
     const { userId } = req.params;
     const targetUserId = new mongoose.Types.ObjectId(userId);
 
-    const connection = await Connection.findOne({
+    // Mutual blocks leave two documents; prefer the one we own
+    const connections = await Connection.find({
       $or: [
         { requester: req.user._id, recipient: targetUserId },
         { requester: targetUserId, recipient: req.user._id }
       ]
     });
+    const connection = connections.find(conn => conn.requester.equals(req.user._id)) || connections[0];
 
-    if (!connection) {
+    // The blocked side just sees no relationship
+    if (!connection || (connection.status === 'blocked' && !connection.requester.equals(req.user._id))) {
       return res.json({ status: 'none' });
     }
 
@@ -258,4 +307,110 @@ router.get('/status/:userId', requireAuth, async (req, res) => {
   }
 });
 
+// GET /api/connections/blocked - Users the current user has blocked
+router.get('/blocked', requireAuth, async (req, res) => {
+  try {
+    const blocks = await Connection.find({
+      requester: req.user._id,
+      status: 'blocked'
+    })
+    .populate('recipient', CARD_SELECT)
+    .sort({ updatedAt: -1 });
+
+    res.json(blocks.map(block => ({
+      _id: block._id,
+      user: toCard(block.recipient, 'public'),
+      blockedAt: block.updatedAt
+    })));
+  } catch (error) {
+    console.error('Get blocked users error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/connections/block/:userId
+router.post('/block/:userId', requireAuth, validateBlockTarget, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const targetUserId = new mongoose.Types.ObjectId(req.params.userId);
+    const currentUserId = req.user._id;
+
+    if (targetUserId.equals(currentUserId)) {
+      return res.status(400).json({ error: 'Cannot block yourself' });
+    }
+
+    const targetUser = await User.findById(targetUserId);
+    if (!targetUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // A block replaces any pending or accepted connection between the two.
+    // The other user's own block on us (if any) is left in place.
+    await Connection.deleteMany({
+      status: { $ne: 'blocked' },
+      $or: [
+        { requester: currentUserId, recipient: targetUserId },
+        { requester: targetUserId, recipient: currentUserId }
+      ]
+    });
+
+    // Neither side keeps following the other
+    await Follow.deleteMany({
+      $or: [
+        { follower: currentUserId, followee: targetUserId },
+        { follower: targetUserId, followee: currentUserId }
+      ]
+    });
+
+    const block = await Connection.findOneAndUpdate(
+      { requester: currentUserId, recipient: targetUserId },
+      { $set: { status: 'blocked' }, $unset: { message: '' } },
+      { upsert: true, new: true }
+    );
+
+    res.json({
+      message: 'User blocked',
+      blockId: block._id
+    });
+  } catch (error) {
+    console.error('Block user error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/connections/block/:userId
+router.delete('/block/:userId', requireAuth, validateBlockTarget, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const block = await Connection.findOneAndDelete({
+      requester: req.user._id,
+      recipient: req.params.userId,
+      status: 'blocked'
+    });
+
+    if (!block) {
+      return res.status(404).json({ error: 'User is not blocked' });
+    }
+
+    res.json({ message: 'User unblocked' });
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,139 @@
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const ExportJob = require('../models/exportJob');
+const { requireAuth } = require('../middleware/auth');
+const { signDownloadToken, verifyDownloadToken } = require('../utils/exportUtils');
+const { runExportWorker } = require('../utils/exportWorker');
+const { getPrivateStorage } = require('../utils/storage');
+
+// Mounted under /api/users/me/export
+const router = express.Router();
+
+const ACTIVE_STATUSES = ['pending', 'processing'];
+
+const validateJobId = [
+  param('jobId')
+    .isMongoId()
+    .withMessage('Invalid export ID')
+];
+
+const handleError = (res, error, message = 'Internal server error') => {
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    error: message,
+    ...(process.env.NODE_ENV === 'development' && { details: error.message })
+  });
+};
+
+const handleValidationError = (res, errors) => {
+  return res.status(400).json({
+    error: 'Validation failed',
+    details: errors.array()
+  });
+};
+
+// The job as the owner sees it, with a fresh download link once it's ready
+const describeJob = (req, job) => ({
+  id: job._id,
+  status: job.status,
+  size: job.size,
+  error: job.error,
+  requestedAt: job.createdAt,
+  completedAt: job.completedAt,
+  expiresAt: job.expiresAt,
+  ...(job.status === 'ready' && {
+    downloadUrl: `${req.protocol}://${req.get('host')}${req.baseUrl}/${job._id}/download?token=${signDownloadToken(job)}`
+  })
+});
+
+// POST /api/users/me/export - Start building an archive of the caller's data
+router.post('/', requireAuth, async (req, res) => {
+  try {
+    // One build at a time per user; asking again just returns it
+    let job = await ExportJob.findOne({ user: req.user._id, status: { $in: ACTIVE_STATUSES } });
+    const created = !job;
+    if (created) {
+      job = await ExportJob.create({ user: req.user._id });
+    }
+
+    runExportWorker();
+
+    res.status(202).json({
+      message: created ? 'Export started' : 'An export is already in progress',
+      export: describeJob(req, job)
+    });
+  } catch (error) {
+    handleError(res, error, 'Start export error');
+  }
+});
+
+// GET /api/users/me/export - The caller's exports, newest first
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const jobs = await ExportJob.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    res.json({ exports: jobs.map(job => describeJob(req, job)) });
+  } catch (error) {
+    handleError(res, error, 'Get exports error');
+  }
+});
+
+// GET /api/users/me/export/:jobId - Poll an export's status
+router.get('/:jobId', requireAuth, validateJobId, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return handleValidationError(res, errors);
+    }
+
+    const job = await ExportJob.findOne({ _id: req.params.jobId, user: req.user._id });
+    if (!job) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+
+    res.json({ export: describeJob(req, job) });
+  } catch (error) {
+    handleError(res, error, 'Get export error');
+  }
+});
+
+// GET /api/users/me/export/:jobId/download?token= - Signed, short-lived link
+router.get('/:jobId/download', validateJobId, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return handleValidationError(res, errors);
+    }
+
+    const payload = typeof req.query.token === 'string' && verifyDownloadToken(req.query.token, req.params.jobId);
+    if (!payload) {
+      return res.status(403).json({ error: 'Download link is invalid or has expired' });
+    }
+
+    const job = await ExportJob.findOne({ _id: req.params.jobId, user: payload.user });
+    if (!job || job.status !== 'ready' || job.expiresAt <= new Date()) {
+      return res.status(410).json({ error: 'This export is no longer available' });
+    }
+
+    const stream = getPrivateStorage().stream(job.fileKey);
+    stream.on('error', (error) => {
+      console.error('Export download error:', error);
+      if (!res.headersSent) res.status(410).json({ error: 'This export is no longer available' });
+      else res.destroy(error);
+    });
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="data-export-${job.completedAt.toISOString().slice(0, 10)}.zip"`,
+      'Cache-Control': 'no-store'
+    });
+    if (job.size) res.set('Content-Length', String(job.size));
+    stream.pipe(res);
+  } catch (error) {
+    handleError(res, error, 'Download export error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,319 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const User = require('../models/user');
+const Report = require('../models/report');
+const ModerationCase = require('../models/moderationCase');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+const { findCaseContent, withTargets, resolveCase } = require('../utils/reportUtils');
+const { hideContent, unhideContent } = require('../utils/moderationUtils');
+const { isSuspended, suspendUser } = require('../utils/suspensionUtils');
+const { recordAudit } = require('../utils/auditUtils');
+const { sendModerationWarningEmail } = require('../utils/mailer');
+const { decodeCursor, encodeCursor, parseLimit, cursorValues, keysetFilter } = require('../utils/pagination');
+
+const router = express.Router();
+
+const QUEUE_SORT = { lastReportedAt: -1, _id: -1 };
+const OWNER_SELECT = 'firstName lastName avatar role';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SUSPENSION_DAYS = 365;
+
+// Everything here is for moderators
+router.use(requireAuth, requirePermission('content:moderate'));
+
+const validateCaseId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid case ID')
+];
+
+const validateQueueQuery = [
+  query('status')
+    .optional()
+    .isIn(ModerationCase.STATUSES)
+    .withMessage(`Status must be one of: ${ModerationCase.STATUSES.join(', ')}`),
+  query('targetType')
+    .optional()
+    .isIn(ModerationCase.TARGET_TYPES)
+    .withMessage(`Target type must be one of: ${ModerationCase.TARGET_TYPES.join(', ')}`)
+];
+
+const validateNote = [
+  body('note')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Note must be at most 1000 characters')
+];
+
+const validateSuspension = [
+  ...validateNote,
+  body('durationDays')
+    .isInt({ min: 1, max: MAX_SUSPENSION_DAYS })
+    .withMessage(`durationDays must be between 1 and ${MAX_SUSPENSION_DAYS}`)
+    .toInt(),
+  body('hideContent')
+    .optional()
+    .isBoolean()
+    .withMessage('hideContent must be a boolean')
+    .toBoolean()
+];
+
+const handleError = (res, error, message = 'Internal server error') => {
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    error: message,
+    ...(process.env.NODE_ENV === 'development' && { details: error.message })
+  });
+};
+
+const handleValidationError = (res, errors) => {
+  return res.status(400).json({
+    error: 'Validation failed',
+    details: errors.array()
+  });
+};
+
+// Loads the case named in the URL, answering the request itself (and
+// resolving to null) when it can't be acted on
+const findOpenCase = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    handleValidationError(res, errors);
+    return null;
+  }
+
+  const moderationCase = await ModerationCase.findById(req.params.id);
+  if (!moderationCase) {
+    res.status(404).json({ error: 'Case not found' });
+    return null;
+  }
+  if (moderationCase.status !== 'open') {
+    res.status(409).json({ error: `Case is already ${moderationCase.status}` });
+    return null;
+  }
+  return moderationCase;
+};
+
+// GET /api/moderation/queue - Reported content, most recently reported first
+// ?status= (default open) and ?targetType= filter it (cursor paginated)
+router.get('/queue', validateQueueQuery, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return handleValidationError(res, errors);
+    }
+
+    const limit = parseLimit(req.query.limit, 20, 100);
+    const filter = { status: req.query.status || 'open' };
+    if (req.query.targetType) filter.targetType = req.query.targetType;
+
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor || !Array.isArray(cursor.after) || cursor.after.length !== 2) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      Object.assign(filter, keysetFilter(QUEUE_SORT, cursor.after));
+    }
+
+    const cases = await ModerationCase.find(filter)
+      .populate('targetOwner', OWNER_SELECT)
+      .sort(QUEUE_SORT)
+      .limit(limit + 1)
+      .lean();
+
+    const hasMore = cases.length > limit;
+    const page = cases.slice(0, limit);
+    const nextCursor = hasMore
+      ? encodeCursor({ after: cursorValues(page[page.length - 1], QUEUE_SORT) })
+      : null;
+
+    res.json({
+      cases: await withTargets(page),
+      nextCursor,
+      hasMore
+    });
+  } catch (error) {
+    handleError(res, error, 'Get moderation queue error');
+  }
+});
+
+// GET /api/moderation/cases/:id - A case with its reports and the owner's record
+router.get('/cases/:id', validateCaseId, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return handleValidationError(res, errors);
+    }
+
+    const moderationCase = await ModerationCase.findById(req.params.id)
+      .populate('targetOwner', OWNER_SELECT)
+      .populate('resolution.by', 'firstName lastName')
+      .lean();
+    if (!moderationCase) {
+      return res.status(404).json({ error: 'Case not found' });
+    }
+
+    const reports = await Report.find({ case: moderationCase._id })
+      .populate('reporter', 'firstName lastName avatar')
+      .sort({ createdAt: 1 })
+      .limit(100)
+      .lean();
+    const ownerId = moderationCase.targetOwner ? moderationCase.targetOwner._id : null;
+    const previouslyActioned = ownerId
+      ? await ModerationCase.countDocuments({ targetOwner: ownerId, status: 'actioned', _id: { $ne: moderationCase._id } })
+      : 0;
+
+    const [withTarget] = await withTargets([moderationCase]);
+    res.json({
+      case: withTarget,
+      reports,
+      ownerHistory: { previouslyActioned }
+    });
+  } catch (error) {
+    handleError(res, error, 'Get moderation case error');
+  }
+});
+
+// POST /api/moderation/cases/:id/dismiss - Nothing wrong; undoes an automatic hide
+router.post('/cases/:id/dismiss', validateCaseId, validateNote, async (req, res) => {
+  try {
+    const moderationCase = await findOpenCase(req, res);
+    if (!moderationCase) return;
+
+    // Only the threshold's hide is undone; a moderator's stays
+    const content = await findCaseContent(moderationCase);
+    if (content && moderationCase.autoHiddenAt && content.hiddenAt && !content.hiddenBy) {
+      await unhideContent(content);
+    }
+
+    await resolveCase(moderationCase, { action: 'dismiss', by: req.user._id, note: req.body.note });
+    await recordAudit(req, {
+      action: `${moderationCase.targetType}.reports_dismiss`,
+      targetType: moderationCase.targetType,
+      targetId: moderationCase.targetId,
+      reason: req.body.note,
+      details: { case: moderationCase._id, reporterCount: moderationCase.reporterCount }
+    });
+
+    res.json({ message: 'Reports dismissed', case: moderationCase });
+  } catch (error) {
+    handleError(res, error, 'Dismiss case error');
+  }
+});
+
+// POST /api/moderation/cases/:id/hide - Hide the reported post or comment
+router.post('/cases/:id/hide', validateCaseId, validateNote, async (req, res) => {
+  try {
+    const moderationCase = await findOpenCase(req, res);
+    if (!moderationCase) return;
+
+    if (moderationCase.targetType === 'user') {
+      return res.status(400).json({ error: 'Only posts and comments can be hidden' });
+    }
+    const content = await findCaseContent(moderationCase);
+    if (!content) {
+      return res.status(404).json({ error: 'The reported content no longer exists' });
+    }
+
+    // An automatic hide becomes the moderator's, with their reason
+    await hideContent(content, req.user._id, req.body.note);
+    await resolveCase(moderationCase, { action: 'hide', by: req.user._id, note: req.body.note });
+    await recordAudit(req, {
+      action: `${moderationCase.targetType}.hide`,
+      targetType: moderationCase.targetType,
+      targetId: moderationCase.targetId,
+      reason: req.body.note,
+      details: { case: moderationCase._id, author: moderationCase.targetOwner }
+    });
+
+    res.json({ message: 'Content hidden', case: moderationCase });
+  } catch (error) {
+    handleError(res, error, 'Hide reported content error');
+  }
+});
+
+// POST /api/moderation/cases/:id/warn - Email the owner a warning
+router.post('/cases/:id/warn', validateCaseId, validateNote, async (req, res) => {
+  try {
+    const moderationCase = await findOpenCase(req, res);
+    if (!moderationCase) return;
+
+    const owner = await User.findById(moderationCase.targetOwner).select('firstName email');
+    if (!owner) {
+      return res.status(404).json({ error: 'The reported user no longer exists' });
+    }
+
+    await resolveCase(moderationCase, { action: 'warn', by: req.user._id, note: req.body.note });
+    await recordAudit(req, {
+      action: 'user.warn',
+      targetType: 'user',
+      targetId: owner._id,
+      reason: req.body.note,
+      details: { case: moderationCase._id, about: moderationCase.targetType, targetId: moderationCase.targetId }
+    });
+
+    try {
+      await sendModerationWarningEmail(owner, moderationCase.targetType, req.body.note);
+    } catch (error) {
+      console.error('Send moderation warning email error:', error);
+    }
+
+    res.json({ message: 'Warning sent', case: moderationCase });
+  } catch (error) {
+    handleError(res, error, 'Warn user error');
+  }
+});
+
+// POST /api/moderation/cases/:id/suspend - Suspend the owner for durationDays,
+// optionally hiding their content meanwhile
+router.post('/cases/:id/suspend', requirePermission('users:suspend'), validateCaseId, validateSuspension, async (req, res) => {
+  try {
+    const moderationCase = await findOpenCase(req, res);
+    if (!moderationCase) return;
+
+    const owner = await User.findById(moderationCase.targetOwner);
+    if (!owner) {
+      return res.status(404).json({ error: 'The reported user no longer exists' });
+    }
+    if (owner.role !== 'user') {
+      return res.status(403).json({ error: 'Moderators and admins cannot be suspended' });
+    }
+    if (isSuspended(owner) && !owner.suspension.until) {
+      return res.status(409).json({ error: 'User is already banned' });
+    }
+
+    const until = new Date(Date.now() + req.body.durationDays * DAY_MS);
+    await suspendUser(owner, {
+      until,
+      reason: req.body.note || null,
+      by: req.user._id,
+      hideContent: !!req.body.hideContent
+    });
+    await resolveCase(moderationCase, {
+      action: 'suspend',
+      by: req.user._id,
+      note: req.body.note,
+      suspendedUntil: until
+    });
+    await recordAudit(req, {
+      action: 'user.suspend',
+      targetType: 'user',
+      targetId: owner._id,
+      reason: req.body.note,
+      details: {
+        case: moderationCase._id,
+        until,
+        durationDays: req.body.durationDays,
+        contentHidden: owner.suspension.contentHidden
+      }
+    });
+
+    res.json({ message: 'User suspended', case: moderationCase });
+  } catch (error) {
+    handleError(res, error, 'Suspend user error');
+  }
+});
+
+module.exports = router;
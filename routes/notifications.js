@@ -0,0 +1,185 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Notification = require('../models/notification');
+const User = require('../models/user');
+const { requireAuth } = require('../middleware/auth');
+const { summarize } = require('../utils/notificationUtils');
+const { decodeCursor, encodeCursor, parseLimit, cursorValues, keysetFilter } = require('../utils/pagination');
+
+const router = express.Router();
+
+const FEED_SORT = { updatedAt: -1, _id: -1 };
+
+const validateNotificationId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid notification ID')
+];
+
+const validatePreferences = [
+  body('muted')
+    .isArray()
+    .withMessage('muted must be an array of notification types'),
+  body('muted.*')
+    .isIn(Notification.TYPES)
+    .withMessage(`Notification type must be one of: ${Notification.TYPES.join(', ')}`)
+];
+
+const handleValidationError = (res, errors) => {
+  return res.status(400).json({
+    error: 'Validation failed',
+    details: errors.array()
+  });
+};
+
+// GET /api/notifications - ?unread=true for unread only
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit, 20, 50);
+    const filter = { recipient: req.user._id };
+    if (req.query.unread === 'true') {
+      filter.readAt = null;
+    }
+
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor || !Array.isArray(cursor.after) || cursor.after.length !== 2) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      Object.assign(filter, keysetFilter(FEED_SORT, cursor.after));
+    }
+
+    const notifications = await Notification.find(filter)
+      .populate('actors', 'firstName lastName')
+      .sort(FEED_SORT)
+      .limit(limit + 1)
+      .lean();
+
+    const hasMore = notifications.length > limit;
+    const page = notifications.slice(0, limit);
+    const nextCursor = hasMore
+      ? encodeCursor({ after: cursorValues(page[page.length - 1], FEED_SORT) })
+      : null;
+
+    const unreadCount = await Notification.countDocuments({
+      recipient: req.user._id,
+      readAt: null
+    });
+
+    res.json({
+      notifications: page.map(notification => ({
+        ...notification,
+        actorsCount: notification.actors.length,
+        // The latest few actors are plenty for avatars
+        actors: notification.actors.slice(-3).reverse(),
+        summary: summarize(notification),
+        isRead: notification.readAt !== null
+      })),
+      unreadCount,
+      nextCursor,
+      hasMore
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/notifications/unread-count
+router.get('/unread-count', requireAuth, async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({
+      recipient: req.user._id,
+      readAt: null
+    });
+
+    res.json({ unreadCount });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/notifications/preferences
+router.get('/preferences', requireAuth, (req, res) => {
+  res.json({
+    available: Notification.TYPES,
+    muted: req.user.mutedNotificationTypes || []
+  });
+});
+
+// PUT /api/notifications/preferences - Replace the list of muted types
+router.put('/preferences', requireAuth, validatePreferences, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return handleValidationError(res, errors);
+    }
+
+    const muted = [...new Set(req.body.muted)];
+    await User.updateOne({ _id: req.user._id }, { $set: { mutedNotificationTypes: muted } });
+
+    res.json({
+      message: 'Notification preferences updated',
+      available: Notification.TYPES,
+      muted
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/notifications/read-all
+router.put('/read-all', requireAuth, async (req, res) => {
+  try {
+    const { modifiedCount } = await Notification.updateMany(
+      { recipient: req.user._id, readAt: null },
+      { $set: { readAt: new Date() } },
+      { timestamps: false }
+    );
+
+    res.json({
+      message: 'All notifications marked as read',
+      updated: modifiedCount
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/notifications/:id/read
+router.put('/:id/read', requireAuth, validateNotificationId, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return handleValidationError(res, errors);
+    }
+
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      recipient: req.user._id
+    });
+
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    // Reading shouldn't bump the notification's place in the feed
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save({ timestamps: false });
+    }
+
+    res.json({
+      message: 'Notification marked as read',
+      notification
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,41 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const Post = require('../models/post');
 const User = require('../models/user');
 const Connection = require('../models/connection');
-const { requireAuth } = require('../middleware/auth');
+const PostRevision = require('../models/postRevision');
+const { requireAuth, optionalAuth, requirePermission } = require('../middleware/auth');
+const { limit } = require('../middleware/rateLimit');
+const { hasPermission } = require('../config/roles');
+const { decodeCursor, encodeCursor, parseLimit, cursorValues, keysetFilter } = require('../utils/pagination');
+const { getConnectedUserIds, getFollowedUserIds, getBlockedUserIds } = require('../utils/connectionUtils');
+const trendingConfig = require('../config/trending');
+const { FEED_SORTS, FEED_CARD_EXCLUDE, isValidFeedCursor, getDiscoverFeed } = require('../utils/feedUtils');
+const { setReaction, removeReaction, getMyReaction } = require('../utils/reactionUtils');
+const { notify } = require('../utils/notificationUtils');
+const { publishPostCounts } = require('../utils/realtimeUtils');
+const { canViewPost, findVisiblePost, resolveLifecycle, announcePost, deletePostData } = require('../utils/postUtils');
+const { MAX_POST_ATTACHMENTS, ALLOWED_IMAGE_TYPES, sniffImageType, uploadImages, storePostImage, imageKeys } = require('../utils/mediaUtils');
+const { removeFiles } = require('../utils/storage');
+const { hideContent, unhideContent } = require('../utils/moderationUtils');
+const { recordAudit } = require('../utils/auditUtils');
+const { runContentFilters } = require('../utils/contentFilterUtils');
+const { flagContent } = require('../utils/reportUtils');
 const mongoose = require('mongoose');
+const commentsRoutes = require('./comments');
+const reactionsRoutes = require('./reactions');
 
 const router = express.Router();
 
+const DRAFTS_SORT = { updatedAt: -1, _id: -1 };
+
 const validatePost = [
+  body('title')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Title must be at most 200 characters'),
   body('content')
     .trim()
     .isLength({ min: 10, max: 10000 })
@@ -22,14 +49,30 @@ const validatePost = [
         throw new Error('Maximum 10 tags allowed');
       }
       return true;
-    })
+    }),
+  body('status')
+    .optional()
+    .isIn(Post.STATUSES)
+    .withMessage(`Status must be one of: ${Post.STATUSES.join(', ')}`),
+  body('publishAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('publishAt must be an ISO 8601 date')
 ];
 
-const validateComment = [
-  body('content')
+const validatePostId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid post ID')
+];
+
+const validateModerationReason = [
+  body('reason')
+    .optional({ nullable: true })
+    .isString()
     .trim()
-    .isLength({ min: 1, max: 1000 })
-    .withMessage('Comment must be between 1 and 1000 characters')
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters')
 ];
 
 const handleError = (res, error, message = 'Internal server error') => {
@@ -48,24 +91,54 @@ const handleValidationError = (res, errors) => {
 };
 
 // POST /api/posts - Create a new post
-router.post('/', requireAuth, validatePost, async (req, res) => {
+router.post('/', requireAuth, limit('posts'), validatePost, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return handleValidationError(res, errors);
     }
 
-    const { content, tags = [], isPublished = true } = req.body;
+    const { title = null, content, tags = [] } = req.body;
+
+    const lifecycle = resolveLifecycle(req.body, 'published');
+    if (lifecycle.error) {
+      return res.status(400).json({ error: lifecycle.error });
+    }
+    if (lifecycle.status === 'archived') {
+      return res.status(400).json({ error: 'A new post cannot be archived' });
+    }
+
+    const screening = await runContentFilters({
+      targetType: 'post',
+      action: 'create',
+      authorId: req.user._id,
+      title: title || null,
+      content,
+      doc: null
+    });
+    if (screening.verdict === 'reject') {
+      return res.status(screening.status).json({ error: screening.reason });
+    }
 
     const post = new Post({
+      title: title || null,
       content,
       author: req.user._id,
       tags: tags.map(tag => tag.toLowerCase().trim()),
-      isPublished
+      status: lifecycle.status,
+      publishAt: lifecycle.publishAt
     });
 
-    await post.save();
-    await post.populate('author', 'firstName lastName email');
+    await post.saveWithSlug();
+    await PostRevision.record(post, req.user._id);
+    // Flagged posts go out as normal; a moderator decides what happens next
+    if (screening.verdict === 'flag') {
+      await flagContent('post', post, screening.reasons);
+    }
+    if (post.isPublished) {
+      await announcePost(post);
+    }
+    await post.populate('author', 'firstName lastName avatar');
 
     res.status(201).json({
       message: 'Post created successfully',
@@ -76,150 +149,82 @@ router.post('/', requireAuth, validatePost, async (req, res) => {
   }
 });
 
-// GET /api/posts/discover - Unified discovery feed with connections priority, no pagination
+// GET /api/posts/discover - Discovery feed with connections priority, cursor paginated
 router.get('/discover', requireAuth, async (req, res) => {
-  console.log('=== DISCOVER ROUTE CALLED ===');
-  console.log('Query params:', req.query);
-  console.log('User ID:', req.user._id);
-  console.log('Timestamp:', new Date().toISOString());
-
   try {
-    const sortBy = req.query.sort || 'latest';
+    const sortBy = FEED_SORTS.includes(req.query.sort) ? req.query.sort : 'latest';
+    const limit = parseLimit(req.query.limit, 20, 50);
+    const debug = req.query.debug === 'true';
 
-    const connections = await Connection.find({
-      $or: [
-        { requester: req.user._id, status: 'accepted' },
-        { recipient: req.user._id, status: 'accepted' }
-      ]
-    });
-
-    const connectedUserIds = connections.map(conn =>
-      conn.requester.equals(req.user._id) ? conn.recipient : conn.requester
-    );
+    const connectedUserIds = await getConnectedUserIds(req.user._id);
     connectedUserIds.push(req.user._id); // Include self
 
-    console.log('Connected user IDs count:', connectedUserIds.length - 1);
-
-    const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-
-    let allPosts = [];
-
-    if (connectedUserIds.length > 1) {
-      const recentConnectionPosts = await Post.find({
-        author: { $in: connectedUserIds },
-        isPublished: true,
-        createdAt: { $gte: twentyFourHoursAgo }
-      })
-        .populate('author', 'firstName lastName email')
-        .populate('comments.user', 'firstName lastName')
-        .sort({ createdAt: -1 })
-        .lean();
-
-      const otherPosts = await Post.find({
-        author: { $nin: connectedUserIds },
-        isPublished: true
-      })
-        .populate('author', 'firstName lastName email')
-        .populate('comments.user', 'firstName lastName')
-        .sort({ createdAt: -1 })
-        .lean();
-
-      const olderConnectionPosts = await Post.find({
-        author: { $in: connectedUserIds },
-        isPublished: true,
-        createdAt: { $lt: twentyFourHoursAgo }
-      })
-        .populate('author', 'firstName lastName email')
-        .populate('comments.user', 'firstName lastName')
-        .sort({ createdAt: -1 })
-        .lean();
-
-      console.log('Recent connection posts:', recentConnectionPosts.length);
-      console.log('Other posts:', otherPosts.length);
-      console.log('Older connection posts:', olderConnectionPosts.length);
-
-      const chronologicalOtherPosts = [...otherPosts, ...olderConnectionPosts].sort(
-        (a, b) => new Date(b.createdAt) - new Date(a.createdAt)
-      );
-
-      allPosts = [...recentConnectionPosts, ...chronologicalOtherPosts];
-    } else {
-      allPosts = await Post.find({ isPublished: true })
-        .populate('author', 'firstName lastName email')
-        .populate('comments.user', 'firstName lastName')
-        .sort({ createdAt: -1 })
-        .lean();
-    }
-
-    // Apply custom sorting
-    if (sortBy !== 'latest') {
-      switch (sortBy) {
-        case 'oldest':
-          allPosts.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
-          break;
-        case 'popular':
-          allPosts.sort((a, b) => {
-            const aLikes = a.likes ? a.likes.length : 0;
-            const bLikes = b.likes ? b.likes.length : 0;
-            return bLikes === aLikes
-              ? new Date(b.createdAt) - new Date(a.createdAt)
-              : bLikes - aLikes;
-          });
-          break;
-        case 'trending':
-          // Already ordered
-          break;
+    // Followed authors rank alongside connections
+    const connected = new Set(connectedUserIds.map(String));
+    const followedUserIds = (await getFollowedUserIds(req.user._id))
+      .filter(id => !connected.has(id.toString()));
+    const priorityUserIds = [...connectedUserIds, ...followedUserIds];
+
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeCursor(req.query.cursor);
+      if (!isValidFeedCursor(cursor, sortBy, priorityUserIds)) {
+        return res.status(400).json({ error: 'Invalid cursor' });
       }
     }
 
-    const postsWithStats = allPosts.map(post => ({
+    const blockedUserIds = await getBlockedUserIds(req.user._id);
+
+    const { posts, nextCursor, since } = await getDiscoverFeed({
+      userId: req.user._id,
+      connectedUserIds: priorityUserIds,
+      blockedUserIds,
+      sortBy,
+      cursor,
+      limit,
+      debug
+    });
+
+    const postsWithStats = posts.map(post => ({
       ...post,
-      likesCount: post.likes ? post.likes.length : 0,
-      commentsCount: post.comments ? post.comments.length : 0,
-      isLiked: Array.isArray(post.likes) && post.likes.some(like =>
-        like.user?.toString() === req.user._id.toString()
-      ),
       isFromConnection:
-        post.author && post.author._id &&
-        connectedUserIds.some(id => id.toString() === post.author._id.toString()),
-      isRecent: new Date(post.createdAt) >= twentyFourHoursAgo
+        !!post.author && connected.has(post.author._id.toString()),
+      isFromFollowed:
+        !!post.author && followedUserIds.some(id => id.equals(post.author._id)),
+      isRecent: new Date(post.publishedAt) >= since
     }));
 
+    const recentConnectionPosts = priorityUserIds.length > 1
+      ? await Post.countDocuments({
+          author: { $in: priorityUserIds },
+          isPublished: true,
+          publishedAt: { $gte: since }
+        })
+      : 0;
+
     res.json({
       posts: postsWithStats,
-      totalPosts: postsWithStats.length,
+      nextCursor,
+      hasMore: nextCursor !== null,
       sortBy,
       filters: {
-        available: ['latest', 'oldest', 'popular', 'trending'],
+        available: FEED_SORTS,
         current: sortBy
       },
       connectionStats: {
         connectionsCount: connectedUserIds.length - 1,
-        recentConnectionPosts: connectedUserIds.length > 1
-          ? postsWithStats.filter(post =>
-              post.isFromConnection && post.isRecent
-            ).length
-          : 0
-      }
+        followingCount: followedUserIds.length,
+        recentConnectionPosts
+      },
+      ...(debug && sortBy === 'trending' && { scoring: trendingConfig })
     });
-
   } catch (error) {
-    console.error('=== DISCOVER ROUTE ERROR ===');
-    console.error('Error details:', error);
-    res.status(500).json({
-      error: 'Internal Server Error',
-      message: error.message,
-      stack: error.stack
-    });
+    handleError(res, error, 'Discover feed error');
   }
 });
 
-// GET /api/posts/discover-debug
-router.get('/discover-debug', requireAuth, async (req, res) => {
-  console.log('=== DEBUG ROUTE CALLED ===');
-  console.log('User ID:', req.user._id);
-  console.log('Headers:', req.headers);
-  
+// GET /api/posts/discover-debug - Staff only: database and feed diagnostics
+router.get('/discover-debug', requireAuth, requirePermission('stats:view'), async (req, res) => {
   try {
     const dbTest = await mongoose.connection.db.admin().ping();
     console.log('Database ping successful:', dbTest);
@@ -247,7 +252,7 @@ router.get('/discover-debug', requireAuth, async (req, res) => {
     const recentConnectionPosts = await Post.countDocuments({
       author: { $in: connectedUserIds },
       isPublished: true,
-      createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
+      publishedAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
     });
     
     const debugInfo = {
@@ -268,7 +273,7 @@ router.get('/discover-debug', requireAuth, async (req, res) => {
         id: post._id,
         isPublished: post.isPublished,
         hasAuthor: !!post.author,
-        createdAt: post.createdAt
+        publishedAt: post.publishedAt
       })),
       indexes: Object.keys(indexes),
       environment: {
@@ -303,7 +308,7 @@ router.get('/trending-tags', async (req, res) => {
           _id: '$tags',
           count: { $sum: 1 },
           recentPosts: { $sum: { $cond: [
-            { $gte: ['$createdAt', new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)] },
+            { $gte: ['$publishedAt', new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)] },
             1,
             0
           ] } }
@@ -327,6 +332,45 @@ router.get('/trending-tags', async (req, res) => {
   }
 });
 
+// GET /api/posts/drafts - Caller's unpublished posts, ?status=draft|scheduled|archived
+router.get('/drafts', requireAuth, async (req, res) => {
+  try {
+    const unpublished = Post.STATUSES.filter(status => status !== 'published');
+    const statuses = req.query.status ? [req.query.status] : ['draft', 'scheduled'];
+    if (!statuses.every(status => unpublished.includes(status))) {
+      return res.status(400).json({ error: `Status must be one of: ${unpublished.join(', ')}` });
+    }
+
+    const limit = parseLimit(req.query.limit, 20, 50);
+    const filter = { author: req.user._id, status: { $in: statuses } };
+
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor || !Array.isArray(cursor.after) || cursor.after.length !== 2) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      Object.assign(filter, keysetFilter(DRAFTS_SORT, cursor.after));
+    }
+
+    const drafts = await Post.find(filter)
+      .select(FEED_CARD_EXCLUDE)
+      .sort(DRAFTS_SORT)
+      .limit(limit + 1)
+      .lean();
+
+    const hasMore = drafts.length > limit;
+    const page = drafts.slice(0, limit);
+
+    res.json({
+      posts: page,
+      nextCursor: hasMore ? encodeCursor({ after: cursorValues(page[page.length - 1], DRAFTS_SORT) }) : null,
+      hasMore
+    });
+  } catch (error) {
+    handleError(res, error, 'Get drafts error');
+  }
+});
+
 // GET /api/posts/user/:userId
 router.get('/user/:userId', async (req, res) => {
   try {
@@ -338,8 +382,9 @@ router.get('/user/:userId', async (req, res) => {
       author: req.params.userId,
       isPublished: true
     })
-    .populate('author', 'firstName lastName email')
-    .sort({ createdAt: -1 })
+    .select(FEED_CARD_EXCLUDE)
+    .populate('author', 'firstName lastName avatar')
+    .sort({ publishedAt: -1 })
     .skip(skip)
     .limit(limit);
 
@@ -356,18 +401,38 @@ router.get('/user/:userId', async (req, res) => {
   }
 });
 
+// Drafts, scheduled, archived and hidden posts are only visible to their
+// author (and to moderators)
+const sendPost = async (req, res, post) => {
+  if (!canViewPost(post, req.user)) {
+    return res.status(404).json({ error: 'Post not found' });
+  }
+
+  res.json({
+    ...post.toObject(),
+    myReaction: req.user ? await getMyReaction(post._id, req.user._id) : null
+  });
+};
+
+// GET /api/posts/by-slug/:slug
+router.get('/by-slug/:slug', optionalAuth, async (req, res) => {
+  try {
+    const post = await Post.findOne({ slug: req.params.slug.toLowerCase() })
+      .populate('author', 'firstName lastName avatar');
+
+    await sendPost(req, res, post);
+  } catch (error) {
+    handleError(res, error, 'Get post by slug error');
+  }
+});
+
 // GET /api/posts/:id
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const post = await Post.findById(req.params.id)
-      .populate('author', 'firstName lastName email')
-      .populate('comments.user', 'firstName lastName');
+      .populate('author', 'firstName lastName avatar');
 
-    if (!post) {
-      return res.status(404).json({ error: 'Post not found' });
-    }
-
-    res.json(post);
+    await sendPost(req, res, post);
   } catch (error) {
     if (error.name === 'CastError') {
       return res.status(400).json({ error: 'Invalid post ID' });
@@ -392,14 +457,46 @@ router.put('/:id', requireAuth, validatePost, async (req, res) => {
       return res.status(403).json({ error: 'Not authorized to update this post' });
     }
 
-    const { content, tags = [], isPublished } = req.body;
+    const { content, tags = [] } = req.body;
+    const title = req.body.title === undefined ? post.title : (req.body.title || null);
 
-    post.content = content;
-    post.tags = tags.map(tag => tag.toLowerCase().trim());
-    if (isPublished !== undefined) post.isPublished = isPublished;
+    const lifecycle = resolveLifecycle(req.body, post.status, post.publishAt);
+    if (lifecycle.error) {
+      return res.status(400).json({ error: lifecycle.error });
+    }
+
+    const wasPublished = post.isPublished;
+    const previousContent = post.content;
+    const normalizedTags = tags.map(tag => tag.toLowerCase().trim());
+    const textChanged = title !== post.title || content !== post.content;
+    const contentChanged = textChanged || normalizedTags.join('\n') !== post.tags.join('\n');
+
+    const screening = textChanged
+      ? await runContentFilters({ targetType: 'post', action: 'update', authorId: req.user._id, title, content, doc: post })
+      : { verdict: 'allow' };
+    if (screening.verdict === 'reject') {
+      return res.status(screening.status).json({ error: screening.reason });
+    }
 
-    await post.save();
-    await post.populate('author', 'firstName lastName email');
+    post.title = title;
+    post.content = content;
+    post.tags = normalizedTags;
+    post.status = lifecycle.status;
+    post.publishAt = lifecycle.publishAt;
+    if (contentChanged) post.version += 1;
+
+    await post.saveWithSlug();
+    if (contentChanged) {
+      await PostRevision.record(post, req.user._id);
+    }
+    if (screening.verdict === 'flag') {
+      await flagContent('post', post, screening.reasons);
+    }
+    if (post.isPublished) {
+      // Only people mentioned for the first time hear about an edit
+      await announcePost(post, { previousContent: wasPublished ? previousContent : null });
+    }
+    await post.populate('author', 'firstName lastName avatar');
 
     res.json({
       message: 'Post updated successfully',
@@ -410,18 +507,33 @@ router.put('/:id', requireAuth, validatePost, async (req, res) => {
   }
 });
 
-// DELETE /api/posts/:id 
-router.delete('/:id', requireAuth, async (req, res) => {
+// DELETE /api/posts/:id - Author, or a moderator (audited, optional body.reason)
+router.delete('/:id', requireAuth, validateModerationReason, async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return handleValidationError(res, errors);
+    }
+
     const post = await Post.findById(req.params.id);
     if (!post) {
       return res.status(404).json({ error: 'Post not found' });
     }
-    if (!post.author.equals(req.user._id)) {
+    const isAuthor = post.author.equals(req.user._id);
+    if (!isAuthor && !hasPermission(req.user, 'content:moderate')) {
       return res.status(403).json({ error: 'Not authorized to delete this post' });
     }
 
-    await Post.findByIdAndDelete(req.params.id);
+    await deletePostData(post);
+    if (!isAuthor) {
+      await recordAudit(req, {
+        action: 'post.delete',
+        targetType: 'post',
+        targetId: post._id,
+        reason: req.body.reason,
+        details: { author: post.author, title: post.title, excerpt: post.excerpt }
+      });
+    }
 
     res.json({ message: 'Post deleted successfully' });
   } catch (error) {
@@ -429,35 +541,42 @@ router.delete('/:id', requireAuth, async (req, res) => {
   }
 });
 
-// POST /api/posts/:id/like 
-router.post('/:id/like', requireAuth, async (req, res) => {
+// POST /api/posts/:id/hide - Moderators: hide a post from everyone but its author
+router.post('/:id/hide', requireAuth, requirePermission('content:moderate'), validatePostId, validateModerationReason, async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return handleValidationError(res, errors);
+    }
+
     const post = await Post.findById(req.params.id);
     if (!post) {
       return res.status(404).json({ error: 'Post not found' });
     }
-    if (!post.likes) {
-      post.likes = [];
+    if (post.hiddenAt) {
+      return res.status(409).json({ error: 'Post is already hidden' });
     }
 
-    const existingLike = post.likes.find(like => like.user.equals(req.user._id));
+    await hideContent(post, req.user._id, req.body.reason);
+    await recordAudit(req, {
+      action: 'post.hide',
+      targetType: 'post',
+      targetId: post._id,
+      reason: req.body.reason,
+      details: { author: post.author, title: post.title }
+    });
 
-    if (existingLike) {
-      post.likes = post.likes.filter(like => !like.user.equals(req.user._id));
-      await post.save();
-      res.json({ message: 'Post unliked', liked: false, likesCount: post.likes.length });
-    } else {
-      post.likes.push({ user: req.user._id });
-      await post.save();
-      res.json({ message: 'Post liked', liked: true, likesCount: post.likes.length });
-    }
+    res.json({
+      message: 'Post hidden',
+      post: { _id: post._id, hiddenAt: post.hiddenAt, hiddenReason: post.hiddenReason }
+    });
   } catch (error) {
-    handleError(res, error, 'Like post error');
+    handleError(res, error, 'Hide post error');
   }
 });
 
-// POST /api/posts/:id/comment
-router.post('/:id/comment', requireAuth, validateComment, async (req, res) => {
+// DELETE /api/posts/:id/hide - Moderators: put a hidden post back
+router.delete('/:id/hide', requireAuth, requirePermission('content:moderate'), validatePostId, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -468,29 +587,253 @@ router.post('/:id/comment', requireAuth, validateComment, async (req, res) => {
     if (!post) {
       return res.status(404).json({ error: 'Post not found' });
     }
-
-    const { content } = req.body;
-    if (!post.comments) {
-      post.comments = [];
+    if (!post.hiddenAt) {
+      return res.status(409).json({ error: 'Post is not hidden' });
     }
 
-    post.comments.push({
-      user: req.user._id,
-      content
+    await unhideContent(post);
+    await recordAudit(req, {
+      action: 'post.unhide',
+      targetType: 'post',
+      targetId: post._id,
+      details: { author: post.author, title: post.title }
     });
 
-    await post.save();
-    await post.populate('comments.user', 'firstName lastName');
+    res.json({
+      message: 'Post restored',
+      post: { _id: post._id, status: post.status, isPublished: post.isPublished }
+    });
+  } catch (error) {
+    handleError(res, error, 'Unhide post error');
+  }
+});
 
-    const newComment = post.comments[post.comments.length - 1];
+// Runs before the upload is read, so nobody can make the server buffer files
+// for a post that isn't theirs (or that has no room left). Sets req.post.
+const loadOwnPostForUpload = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid post ID' });
+    }
+
+    const post = await Post.findById(req.params.id).select('author attachments');
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+    if (!post.author.equals(req.user._id)) {
+      return res.status(403).json({ error: 'Not authorized to add attachments to this post' });
+    }
+    if (post.attachments.length >= MAX_POST_ATTACHMENTS) {
+      return res.status(400).json({ error: `A post can have at most ${MAX_POST_ATTACHMENTS} attachments` });
+    }
+
+    req.post = post;
+    next();
+  } catch (error) {
+    handleError(res, error, 'Upload attachments error');
+  }
+};
+
+// POST /api/posts/:id/attachments - Multipart upload, field "images"
+router.post('/:id/attachments', requireAuth, loadOwnPostForUpload, uploadImages('images', MAX_POST_ATTACHMENTS), async (req, res) => {
+  try {
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'No images uploaded' });
+    }
+    if (files.some(file => !sniffImageType(file.buffer))) {
+      return res.status(400).json({ error: `Images must be one of: ${ALLOWED_IMAGE_TYPES.join(', ')}` });
+    }
+
+    const { post } = req;
+    if (post.attachments.length + files.length > MAX_POST_ATTACHMENTS) {
+      return res.status(400).json({ error: `A post can have at most ${MAX_POST_ATTACHMENTS} attachments` });
+    }
+
+    const stored = [];
+    for (const file of files) {
+      const image = await storePostImage(file.buffer, post._id);
+      if (!image) {
+        await removeFiles(stored.flatMap(imageKeys));
+        return res.status(400).json({ error: `Could not read image ${file.originalname}` });
+      }
+      stored.push(image);
+    }
+
+    // The limit is checked again atomically, in case another upload landed
+    // while these images were being processed
+    const updated = await Post.findOneAndUpdate(
+      {
+        _id: post._id,
+        [`attachments.${MAX_POST_ATTACHMENTS - stored.length}`]: { $exists: false }
+      },
+      { $push: { attachments: { $each: stored } } },
+      { new: true, projection: { attachments: 1 } }
+    );
+    if (!updated) {
+      await removeFiles(stored.flatMap(imageKeys));
+      return res.status(400).json({ error: `A post can have at most ${MAX_POST_ATTACHMENTS} attachments` });
+    }
 
     res.status(201).json({
-      message: 'Comment added successfully',
-      comment: newComment
+      message: 'Attachments uploaded successfully',
+      attachments: updated.attachments
+    });
+  } catch (error) {
+    handleError(res, error, 'Upload attachments error');
+  }
+});
+
+// DELETE /api/posts/:id/attachments/:attachmentId
+router.delete('/:id/attachments/:attachmentId', requireAuth, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id).select('author attachments');
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+    if (!post.author.equals(req.user._id)) {
+      return res.status(403).json({ error: 'Not authorized to remove attachments from this post' });
+    }
+
+    const attachment = post.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    await Post.updateOne({ _id: post._id }, { $pull: { attachments: { _id: attachment._id } } });
+    await removeFiles(imageKeys(attachment));
+
+    res.json({ message: 'Attachment removed successfully' });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid ID' });
+    }
+    handleError(res, error, 'Remove attachment error');
+  }
+});
+
+// GET /api/posts/:id/revisions - Author only, newest first
+router.get('/:id/revisions', requireAuth, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id).select('author version');
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+    if (!post.author.equals(req.user._id)) {
+      return res.status(403).json({ error: 'Not authorized to view revisions of this post' });
+    }
+
+    const revisions = await PostRevision.find({ post: post._id })
+      .populate('editor', 'firstName lastName')
+      .sort({ version: -1 })
+      .lean();
+
+    res.json({
+      currentVersion: post.version,
+      revisions
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid post ID' });
+    }
+    handleError(res, error, 'Get revisions error');
+  }
+});
+
+// POST /api/posts/:id/revisions/:revisionId/restore - Author only
+router.post('/:id/revisions/:revisionId/restore', requireAuth, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+    if (!post.author.equals(req.user._id)) {
+      return res.status(403).json({ error: 'Not authorized to restore this post' });
+    }
+
+    const revision = await PostRevision.findOne({ _id: req.params.revisionId, post: post._id });
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    // Screened like any edit: the revision may predate a filter
+    const screening = await runContentFilters({
+      targetType: 'post',
+      action: 'update',
+      authorId: req.user._id,
+      title: revision.title,
+      content: revision.content,
+      doc: post
+    });
+    if (screening.verdict === 'reject') {
+      return res.status(screening.status).json({ error: screening.reason });
+    }
+
+    const previousContent = post.content;
+
+    // Restoring is itself an edit, so history only ever grows
+    post.title = revision.title;
+    post.content = revision.content;
+    post.tags = revision.tags;
+    post.version += 1;
+
+    await post.saveWithSlug();
+    await PostRevision.record(post, req.user._id, revision.version);
+    if (screening.verdict === 'flag') {
+      await flagContent('post', post, screening.reasons);
+    }
+    if (post.isPublished) {
+      await announcePost(post, { previousContent });
+    }
+    await post.populate('author', 'firstName lastName avatar');
+
+    res.json({
+      message: `Restored revision ${revision.version}`,
+      post
     });
   } catch (error) {
-    handleError(res, error, 'Add comment error');
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid ID' });
+    }
+    handleError(res, error, 'Restore revision error');
   }
 });
 
+// POST /api/posts/:id/like - Toggle shortcut kept for older clients
+router.post('/:id/like', requireAuth, limit('likes'), async (req, res) => {
+  try {
+    const post = await findVisiblePost(req.params.id, req.user);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    // Any existing reaction counts as "liked", so the toggle clears it
+    const removal = await removeReaction(post._id, req.user._id);
+    const liked = !removal.removedType;
+    const { post: counts } = liked
+      ? await setReaction(post._id, req.user._id, 'like')
+      : removal;
+    if (liked) {
+      await notify({ recipient: post.author, actor: req.user._id, type: 'reaction', post: post._id });
+    }
+    await publishPostCounts(post._id);
+
+    res.json({
+      message: liked ? 'Post liked' : 'Post unliked',
+      liked,
+      myReaction: liked ? 'like' : null,
+      likesCount: counts.reactionCounts.like,
+      reactionCounts: counts.reactionCounts,
+      reactionsCount: counts.reactionsCount
+    });
+  } catch (error) {
+    handleError(res, error, 'Like post error');
+  }
+});
+
+router.use('/:postId/reactions', reactionsRoutes);
+
+// Comments, including the older singular POST /api/posts/:id/comment path
+router.use(['/:postId/comments', '/:postId/comment'], commentsRoutes);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,169 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Reaction = require('../models/reaction');
+const { requireAuth, optionalAuth } = require('../middleware/auth');
+const { limit } = require('../middleware/rateLimit');
+const { getBlockedUserIds } = require('../utils/connectionUtils');
+const { findVisiblePost } = require('../utils/postUtils');
+const { setReaction, removeReaction } = require('../utils/reactionUtils');
+const { notify } = require('../utils/notificationUtils');
+const { publishPostCounts } = require('../utils/realtimeUtils');
+const { decodeCursor, encodeCursor, parseLimit, cursorValues, keysetFilter } = require('../utils/pagination');
+
+// Mounted under /api/posts/:postId/reactions
+const router = express.Router({ mergeParams: true });
+
+const REACTION_SORT = { createdAt: -1, _id: -1 };
+
+const validatePostId = [
+  param('postId')
+    .isMongoId()
+    .withMessage('Invalid post ID')
+];
+
+const validateReaction = [
+  body('type')
+    .isIn(Reaction.TYPES)
+    .withMessage(`Reaction type must be one of: ${Reaction.TYPES.join(', ')}`)
+];
+
+const validateReactionFilter = [
+  query('type')
+    .optional()
+    .isIn(Reaction.TYPES)
+    .withMessage(`Reaction type must be one of: ${Reaction.TYPES.join(', ')}`)
+];
+
+const handleError = (res, error, message = 'Internal server error') => {
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    error: message,
+    ...(process.env.NODE_ENV === 'development' && { details: error.message })
+  });
+};
+
+const handleValidationError = (res, errors) => {
+  return res.status(400).json({
+    error: 'Validation failed',
+    details: errors.array()
+  });
+};
+
+// GET /api/posts/:postId/reactions - Who reacted, optionally ?type=
+router.get('/', optionalAuth, validatePostId, validateReactionFilter, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return handleValidationError(res, errors);
+    }
+
+    const post = await findVisiblePost(req.params.postId, req.user, 'reactionCounts reactionsCount');
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    const limit = parseLimit(req.query.limit, 20, 100);
+    const filter = { post: post._id };
+    if (req.query.type) {
+      filter.type = req.query.type;
+    }
+    if (req.user) {
+      filter.user = { $nin: await getBlockedUserIds(req.user._id) };
+    }
+
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor || !Array.isArray(cursor.after) || cursor.after.length !== 2) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      Object.assign(filter, keysetFilter(REACTION_SORT, cursor.after));
+    }
+
+    const reactions = await Reaction.find(filter)
+      .select('user type createdAt')
+      .populate('user', 'firstName lastName')
+      .sort(REACTION_SORT)
+      .limit(limit + 1)
+      .lean();
+
+    const hasMore = reactions.length > limit;
+    const page = reactions.slice(0, limit);
+    const nextCursor = hasMore
+      ? encodeCursor({ after: cursorValues(page[page.length - 1], REACTION_SORT) })
+      : null;
+
+    res.json({
+      reactions: page,
+      reactionCounts: post.reactionCounts,
+      reactionsCount: post.reactionsCount,
+      nextCursor,
+      hasMore
+    });
+  } catch (error) {
+    handleError(res, error, 'Get reactions error');
+  }
+});
+
+// PUT /api/posts/:postId/reactions - Add or change the current user's reaction
+router.put('/', requireAuth, limit('likes'), validatePostId, validateReaction, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return handleValidationError(res, errors);
+    }
+
+    const post = await findVisiblePost(req.params.postId, req.user);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    const { type } = req.body;
+    const { previousType, post: counts } = await setReaction(post._id, req.user._id, type);
+    if (!previousType) {
+      await notify({ recipient: post.author, actor: req.user._id, type: 'reaction', post: post._id });
+    }
+    await publishPostCounts(post._id);
+
+    res.json({
+      message: previousType ? 'Reaction updated' : 'Reaction added',
+      myReaction: type,
+      previousReaction: previousType,
+      reactionCounts: counts.reactionCounts,
+      reactionsCount: counts.reactionsCount
+    });
+  } catch (error) {
+    handleError(res, error, 'Set reaction error');
+  }
+});
+
+// DELETE /api/posts/:postId/reactions - Remove the current user's reaction
+router.delete('/', requireAuth, validatePostId, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return handleValidationError(res, errors);
+    }
+
+    const post = await findVisiblePost(req.params.postId, req.user);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    const { removedType, post: counts } = await removeReaction(post._id, req.user._id);
+    if (!removedType) {
+      return res.status(404).json({ error: 'No reaction to remove' });
+    }
+    await publishPostCounts(post._id);
+
+    res.json({
+      message: 'Reaction removed',
+      myReaction: null,
+      reactionCounts: counts.reactionCounts,
+      reactionsCount: counts.reactionsCount
+    });
+  } catch (error) {
+    handleError(res, error, 'Remove reaction error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,174 @@
+const express = require('express');
+const crypto = require('crypto');
+const { body, param, validationResult } = require('express-validator');
+const { requireAuth, allowQueryToken } = require('../middleware/auth');
+const User = require('../models/user');
+const { subscribe, userChannel, postChannel } = require('../utils/pubsub');
+const { isSessionActive } = require('../utils/sessionUtils');
+const { isSuspended } = require('../utils/suspensionUtils');
+const { filterVisiblePostIds } = require('../utils/postUtils');
+
+const router = express.Router();
+
+const HEARTBEAT_MS = 25 * 1000;
+const MAX_POST_SUBSCRIPTIONS = 100;
+
+// Open streams on this process, by connection ID
+const streams = new Map();
+
+const validateSubscriptions = [
+  param('connectionId')
+    .isUUID()
+    .withMessage('Invalid connection ID'),
+  body('postIds')
+    .isArray({ max: MAX_POST_SUBSCRIPTIONS })
+    .withMessage(`postIds must be an array of at most ${MAX_POST_SUBSCRIPTIONS} post IDs`),
+  body('postIds.*')
+    .isMongoId()
+    .withMessage('Invalid post ID')
+];
+
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Replaces the set of posts a stream receives count updates for. Posts the
+// user may not see are left out.
+const setPostSubscriptions = async (stream, user, postIds) => {
+  const wanted = new Set(await filterVisiblePostIds(postIds, user));
+  if (stream.closed) return;
+
+  for (const [postId, unsubscribe] of stream.posts) {
+    if (!wanted.has(postId)) {
+      unsubscribe();
+      stream.posts.delete(postId);
+    }
+  }
+
+  for (const postId of wanted) {
+    if (!stream.posts.has(postId)) {
+      stream.posts.set(postId, subscribe(postChannel(postId), stream.send));
+    }
+  }
+};
+
+// Whether the token the stream was opened with would still be accepted: its
+// session is live, nothing has bumped the user's tokenVersion since and the
+// account hasn't been suspended.
+// Checked on every heartbeat, which catches revocations whose event this
+// process missed.
+const isStreamAuthorized = async (stream) => {
+  if (stream.sessionId && !(await isSessionActive(stream.sessionId))) return false;
+
+  const user = await User.findById(stream.userId).select('tokenVersion deactivatedAt suspension').lean();
+  return !!user && !user.deactivatedAt && !isSuspended(user) &&
+    (user.tokenVersion || 0) === stream.tokenVersion;
+};
+
+// GET /api/realtime/stream - Server-sent events for the current user
+router.get('/stream', allowQueryToken, requireAuth, async (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const connectionId = crypto.randomUUID();
+  const stream = {
+    userId: req.user._id,
+    sessionId: req.sessionId || null,
+    tokenVersion: req.user.tokenVersion || 0,
+    posts: new Map(),
+    closed: false,
+    send: ({ event, data }) => writeEvent(res, event, data)
+  };
+
+  let heartbeat = null;
+  let unsubscribeUser = () => {};
+  const cleanUp = () => {
+    if (stream.closed) return;
+    stream.closed = true;
+    clearInterval(heartbeat);
+    unsubscribeUser();
+    stream.posts.forEach(unsubscribe => unsubscribe());
+    streams.delete(connectionId);
+  };
+  req.on('close', cleanUp);
+  // The client has to sign in again before it reconnects
+  const revoke = (data) => {
+    if (stream.closed) return;
+    writeEvent(res, 'revoked', data);
+    cleanUp();
+    res.end();
+  };
+
+  unsubscribeUser = subscribe(userChannel(req.user._id), (message) => {
+    if (message.event !== 'session.revoked') {
+      return stream.send(message);
+    }
+    const { sessionId, all } = message.data;
+    if (all || (stream.sessionId && String(sessionId) === String(stream.sessionId))) {
+      revoke({ reason: 'session_revoked' });
+    }
+  });
+  streams.set(connectionId, stream);
+
+  // ?posts=id1,id2 subscribes straight away
+  if (typeof req.query.posts === 'string' && req.query.posts) {
+    const postIds = req.query.posts.split(',').filter(id => /^[a-f\d]{24}$/i.test(id));
+    try {
+      await setPostSubscriptions(stream, req.user, postIds.slice(0, MAX_POST_SUBSCRIPTIONS));
+    } catch (error) {
+      console.error('Stream post subscriptions error:', error);
+    }
+  }
+  if (stream.closed) return;
+
+  writeEvent(res, 'ready', {
+    connectionId,
+    posts: [...stream.posts.keys()]
+  });
+
+  heartbeat = setInterval(async () => {
+    try {
+      if (!(await isStreamAuthorized(stream))) {
+        return revoke({ reason: 'session_revoked' });
+      }
+    } catch (error) {
+      console.error('Stream authorization check error:', error);
+    }
+    if (!stream.closed) res.write(': ping\n\n');
+  }, HEARTBEAT_MS);
+});
+
+// PUT /api/realtime/subscriptions/:connectionId - Posts the stream is viewing
+router.put('/subscriptions/:connectionId', requireAuth, validateSubscriptions, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const stream = streams.get(req.params.connectionId);
+    if (!stream || !stream.userId.equals(req.user._id)) {
+      return res.status(404).json({ error: 'Stream not found' });
+    }
+
+    await setPostSubscriptions(stream, req.user, req.body.postIds);
+
+    res.json({
+      connectionId: req.params.connectionId,
+      posts: [...stream.posts.keys()]
+    });
+  } catch (error) {
+    console.error('Set stream subscriptions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
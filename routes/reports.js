@@ -0,0 +1,79 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Report = require('../models/report');
+const ModerationCase = require('../models/moderationCase');
+const { requireAuth } = require('../middleware/auth');
+const { fileReport } = require('../utils/reportUtils');
+
+const router = express.Router();
+
+const validateReport = [
+  body('targetType')
+    .isIn(ModerationCase.TARGET_TYPES)
+    .withMessage(`Target type must be one of: ${ModerationCase.TARGET_TYPES.join(', ')}`),
+  body('targetId')
+    .isMongoId()
+    .withMessage('Invalid target ID'),
+  body('category')
+    .isIn(Report.CATEGORIES)
+    .withMessage(`Category must be one of: ${Report.CATEGORIES.join(', ')}`),
+  body('details')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Details must be at most 1000 characters')
+];
+
+const handleError = (res, error, message = 'Internal server error') => {
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    error: message,
+    ...(process.env.NODE_ENV === 'development' && { details: error.message })
+  });
+};
+
+const handleValidationError = (res, errors) => {
+  return res.status(400).json({
+    error: 'Validation failed',
+    details: errors.array()
+  });
+};
+
+// POST /api/reports - Report a post, comment or user to the moderators
+router.post('/', requireAuth, validateReport, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return handleValidationError(res, errors);
+    }
+
+    const { targetType, targetId, category, details } = req.body;
+    const result = await fileReport({
+      reporterId: req.user._id,
+      targetType,
+      targetId,
+      category,
+      details: details || ''
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    // Reporters learn that it was received, not what happens to it
+    res.status(201).json({
+      message: 'Thanks, our moderators will review this report',
+      report: {
+        _id: result.report._id,
+        targetType,
+        targetId,
+        category,
+        createdAt: result.report.createdAt
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Create report error');
+  }
+});
+
+module.exports = router;
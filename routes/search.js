@@ -0,0 +1,131 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { query, validationResult } = require('express-validator');
+const Post = require('../models/post');
+const { optionalAuth } = require('../middleware/auth');
+const { getConnectedUserIds, getBlockedUserIds } = require('../utils/connectionUtils');
+const { searchTerms, buildSnippet } = require('../utils/searchUtils');
+const { toPlainText } = require('../utils/markdownUtils');
+const { decodeCursor, encodeCursor, parseLimit, cursorValues, keysetFilter } = require('../utils/pagination');
+
+const router = express.Router();
+
+const RELEVANCE_SORT = { score: -1, publishedAt: -1, _id: -1 };
+
+const validatePostSearch = [
+  query('q')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Search query must be between 1 and 200 characters'),
+  query('tag')
+    .optional()
+    .trim()
+    .toLowerCase()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Tag must be between 1 and 50 characters'),
+  query('author')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid author ID'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be an ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be an ISO 8601 date'),
+  query('connectionsOnly')
+    .optional()
+    .isBoolean()
+    .withMessage('connectionsOnly must be true or false')
+];
+
+// GET /api/search/posts?q= - Relevance-ranked post search
+router.get('/posts', optionalAuth, validatePostSearch, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { q, tag, author, from, to } = req.query;
+    const connectionsOnly = req.query.connectionsOnly === 'true';
+    const limit = parseLimit(req.query.limit, 20, 50);
+    const viewerId = req.user ? req.user._id : null;
+
+    if (connectionsOnly && !viewerId) {
+      return res.status(401).json({ error: 'Access token required' });
+    }
+
+    // Unpublished posts only ever match for their own author
+    const visibility = viewerId
+      ? { $or: [{ isPublished: true }, { author: viewerId }] }
+      : { isPublished: true };
+
+    const filters = [visibility];
+    if (tag) filters.push({ tags: tag });
+    if (author) filters.push({ author: new mongoose.Types.ObjectId(author) });
+    if (from || to) {
+      filters.push({
+        publishedAt: {
+          ...(from && { $gte: new Date(from) }),
+          ...(to && { $lte: new Date(to) })
+        }
+      });
+    }
+    if (viewerId) {
+      filters.push({ author: { $nin: await getBlockedUserIds(viewerId) } });
+    }
+    if (connectionsOnly) {
+      filters.push({ author: { $in: await getConnectedUserIds(viewerId) } });
+    }
+
+    const pipeline = [
+      { $match: { $text: { $search: q }, $and: filters } },
+      { $addFields: { score: { $meta: 'textScore' } } }
+    ];
+
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor || cursor.q !== q || !Array.isArray(cursor.after) || cursor.after.length !== 3) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      pipeline.push({ $match: keysetFilter(RELEVANCE_SORT, cursor.after) });
+    }
+
+    pipeline.push(
+      { $sort: RELEVANCE_SORT },
+      { $limit: limit + 1 }
+    );
+
+    const results = await Post.aggregate(pipeline);
+    await Post.populate(results, { path: 'author', select: 'firstName lastName' });
+
+    const hasMore = results.length > limit;
+    const page = results.slice(0, limit);
+    const nextCursor = hasMore
+      ? encodeCursor({ q, after: cursorValues(page[page.length - 1], RELEVANCE_SORT) })
+      : null;
+
+    const terms = searchTerms(q);
+    const posts = page.map(({ content, contentHtml, ...post }) => ({
+      ...post,
+      snippet: buildSnippet(toPlainText(content), terms)
+    }));
+
+    res.json({
+      posts,
+      nextCursor,
+      hasMore
+    });
+  } catch (error) {
+    console.error('Search posts error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
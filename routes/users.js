@@ -1,11 +1,44 @@
 const express = require('express');
-const { query, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, param, query, validationResult } = require('express-validator');
 const User = require('../models/user');
 const Post = require('../models/post');
 const Connection = require('../models/connection');
-const { requireAuth } = require('../middleware/auth');
+const Follow = require('../models/follow');
+const { requireAuth, optionalAuth, requirePermission } = require('../middleware/auth');
+const {
+  getConnectedUserIds,
+  getSecondDegreeUserIds,
+  getBlockedUserIds,
+  hasBlocked
+} = require('../utils/connectionUtils');
+const { escapeRegex, normalizeName } = require('../utils/searchUtils');
+const { FEED_CARD_EXCLUDE } = require('../utils/feedUtils');
+const { ALLOWED_IMAGE_TYPES, sniffImageType, uploadImages, storeAvatar, imageKeys } = require('../utils/mediaUtils');
+const { removeFiles } = require('../utils/storage');
+const { notify } = require('../utils/notificationUtils');
+const { decodeCursor, encodeCursor, parseLimit, cursorValues, keysetFilter } = require('../utils/pagination');
+const {
+  RESTRICTED_FIELDS,
+  PROFILE_SELECT,
+  CARD_SELECT,
+  getRelation,
+  canSee,
+  applyVisibility,
+  toCard
+} = require('../utils/profileUtils');
 
 const router = express.Router();
+
+// Name match quality first; connections nudge ahead within a tier
+const SEARCH_RANKS = {
+  exact: 3,
+  fullPrefix: 2,
+  partPrefix: 1,
+  firstDegree: 0.5,
+  secondDegree: 0.25
+};
+
 const validateSearch = [
   query('q')
     .trim()
@@ -13,7 +46,84 @@ const validateSearch = [
     .withMessage('Search query must be between 1 and 100 characters')
 ];
 
-// GET /api/users/search 
+const MAX_SKILLS = 30;
+const MAX_SOCIAL_LINKS = 10;
+
+const urlOptions = { protocols: ['http', 'https'], require_protocol: true };
+
+const validateProfileUpdate = [
+  body(['firstName', 'lastName'])
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Names must be between 1 and 50 characters'),
+  body('headline')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 120 })
+    .withMessage('Headline must be at most 120 characters'),
+  body('bio')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Bio must be at most 1000 characters'),
+  body('location')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Location must be at most 100 characters'),
+  // An empty string clears the website
+  body('website')
+    .optional({ values: 'falsy' })
+    .isString()
+    .trim()
+    .isURL(urlOptions)
+    .withMessage('Website must be an http(s) URL'),
+  body('socialLinks')
+    .optional()
+    .isArray({ max: MAX_SOCIAL_LINKS })
+    .withMessage(`At most ${MAX_SOCIAL_LINKS} social links allowed`),
+  body('socialLinks.*.platform')
+    .isIn(User.SOCIAL_PLATFORMS)
+    .withMessage(`Platform must be one of: ${User.SOCIAL_PLATFORMS.join(', ')}`),
+  body('socialLinks.*.url')
+    .isString()
+    .trim()
+    .isURL(urlOptions)
+    .withMessage('Social links must be http(s) URLs'),
+  body('skills')
+    .optional()
+    .isArray({ max: MAX_SKILLS })
+    .withMessage(`At most ${MAX_SKILLS} skills allowed`),
+  body('skills.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Skills must be between 1 and 50 characters'),
+  body('privacy')
+    .optional()
+    .isObject()
+    .custom(privacy => Object.entries(privacy).every(([field, level]) =>
+      RESTRICTED_FIELDS.includes(field) && User.VISIBILITY_LEVELS.includes(level)
+    ))
+    .withMessage(`Privacy settings map ${RESTRICTED_FIELDS.join(', ')} to one of: ${User.VISIBILITY_LEVELS.join(', ')}`)
+];
+
+const FOLLOW_SORT = { createdAt: -1, _id: -1 };
+
+const validateUserId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid user ID')
+];
+
+const EDITABLE_FIELDS = ['firstName', 'lastName', 'headline', 'bio', 'location', 'website', 'socialLinks'];
+
+// GET /api/users/search - Name prefix search, ranked by match quality and closeness
 router.get('/search', requireAuth, validateSearch, async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -25,58 +135,86 @@ router.get('/search', requireAuth, validateSearch, async (req, res) => {
     }
 
     const { q, page = 1, limit = 20 } = req.query;
-    const pageNum = parseInt(page);
-    const limitNum = parseInt(limit);
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 50);
     const skip = (pageNum - 1) * limitNum;
 
-    const searchRegex = new RegExp(q, 'i');
-    const users = await User.find({
-      $and: [
-        { _id: { $ne: req.user._id } }, 
-        {
-          $or: [
-            { firstName: searchRegex },
-            { lastName: searchRegex },
-            { email: searchRegex },
-            {
-              $expr: {
-                $regexMatch: {
-                  input: { $concat: ['$firstName', ' ', '$lastName'] },
-                  regex: q,
-                  options: 'i'
-                }
-              }
-            }
-          ]
-        }
+    const term = normalizeName(q);
+    if (!term) {
+      return res.status(400).json({ error: 'Search query must contain a name' });
+    }
+    // Anchored and escaped: the index can serve it and user input can't
+    // smuggle in a pattern
+    const prefix = new RegExp(`^${escapeRegex(term)}`);
+
+    const [firstDegreeIds, blockedUserIds] = await Promise.all([
+      getConnectedUserIds(req.user._id),
+      getBlockedUserIds(req.user._id)
+    ]);
+    const secondDegreeIds = await getSecondDegreeUserIds(req.user._id, firstDegreeIds);
+
+    const match = {
+      _id: { $nin: [req.user._id, ...blockedUserIds] },
+      deactivatedAt: null,
+      $or: [
+        { fullNameSearch: prefix },
+        { firstNameSearch: prefix },
+        { lastNameSearch: prefix }
       ]
-    })
-    .select('firstName lastName email createdAt')
-    .skip(skip)
-    .limit(limitNum)
-    .sort({ firstName: 1, lastName: 1 });
+    };
 
-    const totalUsers = await User.countDocuments({
-      $and: [
-        { _id: { $ne: req.user._id } },
-        {
-          $or: [
-            { firstName: searchRegex },
-            { lastName: searchRegex },
-            { email: searchRegex },
-            {
-              $expr: {
-                $regexMatch: {
-                  input: { $concat: ['$firstName', ' ', '$lastName'] },
-                  regex: q,
-                  options: 'i'
+    const users = await User.aggregate([
+      { $match: match },
+      {
+        $addFields: {
+          matchRank: {
+            $switch: {
+              branches: [
+                { case: { $eq: ['$fullNameSearch', term] }, then: SEARCH_RANKS.exact },
+                { case: { $eq: ['$firstNameSearch', term] }, then: SEARCH_RANKS.exact },
+                { case: { $eq: ['$lastNameSearch', term] }, then: SEARCH_RANKS.exact },
+                { case: { $regexMatch: { input: '$fullNameSearch', regex: prefix } }, then: SEARCH_RANKS.fullPrefix }
+              ],
+              default: SEARCH_RANKS.partPrefix
+            }
+          },
+          degree: {
+            $switch: {
+              branches: [
+                { case: { $in: ['$_id', firstDegreeIds] }, then: 1 },
+                { case: { $in: ['$_id', secondDegreeIds] }, then: 2 }
+              ],
+              default: null
+            }
+          }
+        }
+      },
+      {
+        $addFields: {
+          searchScore: {
+            $add: [
+              '$matchRank',
+              {
+                $switch: {
+                  branches: [
+                    { case: { $eq: ['$degree', 1] }, then: SEARCH_RANKS.firstDegree },
+                    { case: { $eq: ['$degree', 2] }, then: SEARCH_RANKS.secondDegree }
+                  ],
+                  default: 0
                 }
               }
-            }
-          ]
+            ]
+          }
         }
-      ]
-    });
+      },
+      { $sort: { searchScore: -1, fullNameSearch: 1, _id: 1 } },
+      { $skip: skip },
+      { $limit: limitNum },
+      { $project: { firstName: 1, lastName: 1, avatar: 1, headline: 1, 'privacy.headline': 1, degree: 1 } }
+    ]);
+
+    const totalUsers = await User.countDocuments(match);
+
     const userIds = users.map(user => user._id);
     const connections = await Connection.find({
       $or: [
@@ -97,7 +235,8 @@ router.get('/search', requireAuth, validateSearch, async (req, res) => {
       };
     });
     const usersWithConnectionStatus = users.map(user => ({
-      ...user.toObject(),
+      ...toCard(user, user.degree === 1 ? 'connection' : 'public'),
+      degree: user.degree,
       connection: connectionMap[user._id.toString()] || { status: 'none' }
     }));
 
@@ -120,6 +259,7 @@ router.get('/suggestions', requireAuth, async (req, res) => {
   try {
     const { limit = 10 } = req.query;
     const limitNum = parseInt(limit);
+    // Any relationship at all, blocks in either direction included, rules a user out
     const existingConnections = await Connection.find({
       $or: [
         { requester: req.user._id },
@@ -131,37 +271,144 @@ router.get('/suggestions', requireAuth, async (req, res) => {
     );
     connectedUserIds.push(req.user._id);
 
+    // Suggestions are never connections, so only public fields show
     const suggestions = await User.find({
-      _id: { $nin: connectedUserIds }
+      _id: { $nin: connectedUserIds },
+      deactivatedAt: null
     })
-    .select('firstName lastName email createdAt')
+    .select(CARD_SELECT)
     .limit(limitNum)
     .sort({ createdAt: -1 }); 
 
-    res.json(suggestions);
+    res.json(suggestions.map(user => toCard(user, 'public')));
   } catch (error) {
     console.error('Get user suggestions error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
-router.get('/:id', async (req, res) => {
+
+// PATCH /api/users/me - Update own profile and privacy settings
+router.patch('/me', requireAuth, validateProfileUpdate, async (req, res) => {
   try {
-    const user = await User.findById(req.params.id)
-      .select('firstName lastName email createdAt isVerified');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
 
+    const user = await User.findById(req.user._id).select(PROFILE_SELECT);
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
+
+    EDITABLE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => { user[field] = req.body[field]; });
+
+    if (req.body.skills !== undefined) {
+      // Case-insensitive de-duplication, first spelling wins
+      const seen = new Set();
+      user.skills = req.body.skills.filter(skill => {
+        const key = skill.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    }
+    if (req.body.privacy) {
+      Object.entries(req.body.privacy).forEach(([field, level]) => {
+        user.privacy[field] = level;
+      });
+    }
+
+    await user.save();
+
+    res.json({
+      message: 'Profile updated successfully',
+      user: applyVisibility(user, 'self')
+    });
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /api/users/me/avatar - Multipart upload, field "avatar"
+router.put('/me/avatar', requireAuth, uploadImages('avatar', 1), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No image uploaded' });
+    }
+    if (!sniffImageType(req.file.buffer)) {
+      return res.status(400).json({ error: `Avatar must be one of: ${ALLOWED_IMAGE_TYPES.join(', ')}` });
+    }
+
+    const avatar = await storeAvatar(req.file.buffer, req.user._id);
+    if (!avatar) {
+      return res.status(400).json({ error: 'Could not read image' });
+    }
+
+    // Swap atomically and clean up whatever the swap replaced
+    const previous = await User.findByIdAndUpdate(req.user._id, { $set: { avatar } })
+      .select('avatar');
+    if (previous) await removeFiles(imageKeys(previous.avatar));
+
+    res.json({
+      message: 'Avatar updated successfully',
+      avatar
+    });
+  } catch (error) {
+    console.error('Upload avatar error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/users/me/avatar
+router.delete('/me/avatar', requireAuth, async (req, res) => {
+  try {
+    const previous = await User.findByIdAndUpdate(req.user._id, { $set: { avatar: null } })
+      .select('avatar');
+    if (!previous || !previous.avatar) {
+      return res.status(404).json({ error: 'No avatar to remove' });
+    }
+    await removeFiles(imageKeys(previous.avatar));
+
+    res.json({ message: 'Avatar removed successfully' });
+  } catch (error) {
+    console.error('Remove avatar error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    // Deactivated accounts are hidden like missing ones
+    const user = await User.findOne({ _id: req.params.id, deactivatedAt: null }).select(PROFILE_SELECT);
+
+    if (!user || (req.user && await hasBlocked(user._id, req.user._id))) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const relation = await getRelation(user._id, req.user && req.user._id);
+
     const postCount = await Post.countDocuments({
       author: req.params.id,
       isPublished: true
     });
-    const connectionCount = await Connection.countDocuments({
-      $or: [
-        { requester: req.params.id, status: 'accepted' },
-        { recipient: req.params.id, status: 'accepted' }
-      ]
-    });
+    const connectionCount = canSee(user, 'connections', relation)
+      ? await Connection.countDocuments({
+          $or: [
+            { requester: req.params.id, status: 'accepted' },
+            { recipient: req.params.id, status: 'accepted' }
+          ]
+        })
+      : undefined;
+    const [followersCount, followingCount] = canSee(user, 'follows', relation)
+      ? await Promise.all([
+          Follow.countDocuments({ followee: user._id }),
+          Follow.countDocuments({ follower: user._id })
+        ])
+      : [];
     let connectionStatus = null;
     if (req.user) {
       const connection = await Connection.findOne({
@@ -180,13 +427,16 @@ router.get('/:id', async (req, res) => {
       } else {
         connectionStatus = { status: 'none' };
       }
+      connectionStatus.isFollowing = !!(await Follow.exists({ follower: req.user._id, followee: user._id }));
     }
 
     const userProfile = {
-      ...user.toObject(),
+      ...applyVisibility(user, relation),
       stats: {
         postCount,
-        connectionCount
+        connectionCount,
+        followersCount,
+        followingCount
       }
     };
 
@@ -201,6 +451,147 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// POST /api/users/:id/follow - Follow without approval
+router.post('/:id/follow', requireAuth, validateUserId, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const followeeId = new mongoose.Types.ObjectId(req.params.id);
+    if (followeeId.equals(req.user._id)) {
+      return res.status(400).json({ error: 'Cannot follow yourself' });
+    }
+
+    // Blocked in either direction looks the same as a missing user
+    const followee = await User.exists({ _id: followeeId, deactivatedAt: null });
+    const blockedUserIds = await getBlockedUserIds(req.user._id);
+    if (!followee || blockedUserIds.some(id => id.equals(followeeId))) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const result = await Follow.updateOne(
+      { follower: req.user._id, followee: followeeId },
+      { $setOnInsert: { follower: req.user._id, followee: followeeId } },
+      { upsert: true }
+    );
+
+    if (result.upsertedCount > 0) {
+      await notify({ recipient: followeeId, actor: req.user._id, type: 'follow' });
+    }
+
+    res.status(result.upsertedCount > 0 ? 201 : 200).json({
+      message: 'Following user',
+      following: true
+    });
+  } catch (error) {
+    console.error('Follow user error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/users/:id/follow
+router.delete('/:id/follow', requireAuth, validateUserId, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const follow = await Follow.findOneAndDelete({ follower: req.user._id, followee: req.params.id });
+    if (!follow) {
+      return res.status(404).json({ error: 'Not following this user' });
+    }
+
+    res.json({
+      message: 'Unfollowed user',
+      following: false
+    });
+  } catch (error) {
+    console.error('Unfollow user error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// One page of a user's followers or followees, as profile cards. `side` is
+// the Follow field that holds the owner; the other field is listed.
+const listFollows = (side) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const owner = await User.findOne({ _id: req.params.id, deactivatedAt: null }).select('privacy');
+    const viewerId = req.user ? req.user._id : null;
+    if (!owner || (viewerId && await hasBlocked(owner._id, viewerId))) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!canSee(owner, 'follows', await getRelation(owner._id, viewerId))) {
+      return res.status(403).json({ error: 'This user keeps their follows private' });
+    }
+
+    const listed = side === 'followee' ? 'follower' : 'followee';
+    const limit = parseLimit(req.query.limit, 20, 50);
+    const [blockedUserIds, connectedUserIds] = viewerId
+      ? await Promise.all([getBlockedUserIds(viewerId), getConnectedUserIds(viewerId)])
+      : [[], []];
+
+    const filter = { [side]: owner._id, [listed]: { $nin: blockedUserIds } };
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor || !Array.isArray(cursor.after) || cursor.after.length !== 2) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      Object.assign(filter, keysetFilter(FOLLOW_SORT, cursor.after));
+    }
+
+    const follows = await Follow.find(filter)
+      .sort(FOLLOW_SORT)
+      .limit(limit + 1)
+      .populate({ path: listed, select: CARD_SELECT, match: { deactivatedAt: null } });
+
+    const hasMore = follows.length > limit;
+    const page = follows.slice(0, limit);
+    const connected = new Set(connectedUserIds.map(String));
+
+    const relationTo = (user) => {
+      if (viewerId && user._id.equals(viewerId)) return 'self';
+      return connected.has(user._id.toString()) ? 'connection' : 'public';
+    };
+
+    res.json({
+      users: page
+        .filter(follow => follow[listed])
+        .map(follow => ({
+          ...toCard(follow[listed], relationTo(follow[listed])),
+          followedAt: follow.createdAt
+        })),
+      nextCursor: hasMore ? encodeCursor({ after: cursorValues(page[page.length - 1], FOLLOW_SORT) }) : null,
+      hasMore
+    });
+  } catch (error) {
+    console.error(`Get ${side === 'followee' ? 'followers' : 'following'} error:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// GET /api/users/:id/followers
+router.get('/:id/followers', optionalAuth, validateUserId, listFollows('followee'));
+
+// GET /api/users/:id/following
+router.get('/:id/following', optionalAuth, validateUserId, listFollows('follower'));
+
 // GET /api/users/:id/posts 
 router.get('/:id/posts', async (req, res) => {
   try {
@@ -213,8 +604,9 @@ router.get('/:id/posts', async (req, res) => {
       author: req.params.id,
       isPublished: true
     })
-    .populate('author', 'firstName lastName email')
-    .sort({ createdAt: -1 })
+    .select(FEED_CARD_EXCLUDE)
+    .populate('author', 'firstName lastName avatar')
+    .sort({ publishedAt: -1 })
     .skip(skip)
     .limit(limitNum);
 
@@ -251,7 +643,7 @@ router.get('/trending/tags', async (req, res) => {
       {
         $match: {
           isPublished: true,
-          createdAt: { $gte: thirtyDaysAgo }
+          publishedAt: { $gte: thirtyDaysAgo }
         }
       },
       {
@@ -285,8 +677,8 @@ router.get('/trending/tags', async (req, res) => {
   }
 });
 
-// GET /api/users/stats/overview 
-router.get('/stats/overview', async (req, res) => {
+// GET /api/users/stats/overview - Moderators and admins only
+router.get('/stats/overview', requireAuth, requirePermission('stats:view'), async (req, res) => {
   try {
     const totalUsers = await User.countDocuments();
     const totalPosts = await Post.countDocuments({ isPublished: true });
@@ -299,7 +691,7 @@ router.get('/stats/overview', async (req, res) => {
     });
 
     const recentPosts = await Post.countDocuments({
-      createdAt: { $gte: sevenDaysAgo },
+      publishedAt: { $gte: sevenDaysAgo },
       isPublished: true
     });
 
@@ -0,0 +1,37 @@
+// One-off migration: fills in the normalized name fields user search relies
+// on for accounts created before they existed. Safe to re-run.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/user');
+const { normalizeName } = require('../utils/searchUtils');
+
+const backfill = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const cursor = User.find({ fullNameSearch: { $exists: false } })
+    .select('firstName lastName')
+    .lean()
+    .cursor();
+
+  let updated = 0;
+  for await (const user of cursor) {
+    await User.updateOne({ _id: user._id }, {
+      $set: {
+        firstNameSearch: normalizeName(user.firstName),
+        lastNameSearch: normalizeName(user.lastName),
+        fullNameSearch: normalizeName(`${user.firstName} ${user.lastName}`)
+      }
+    });
+    updated++;
+  }
+
+  console.log(`Backfilled search names for ${updated} users`);
+};
+
+backfill()
+  .catch((error) => {
+    console.error('User search backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
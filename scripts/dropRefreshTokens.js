@@ -0,0 +1,28 @@
+// One-off migration: refresh tokens now live hashed in the sessions
+// collection, so the raw tokens stored on users are removed. Tokens issued
+// before sessions existed stop working; their holders log in again.
+// Safe to re-run.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/user');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // strict: false because refreshTokens is no longer in the schema
+  const { modifiedCount } = await User.updateMany(
+    { refreshTokens: { $exists: true } },
+    { $unset: { refreshTokens: 1 } },
+    { strict: false }
+  );
+
+  console.log(`Removed stored refresh tokens from ${modifiedCount} users`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error('Refresh token migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,57 @@
+// One-off migration: moves the comments embedded in each post into the
+// comments collection and fills in Post.commentsCount. Safe to re-run.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Post = require('../models/post');
+const Comment = require('../models/comment');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // The comments field is no longer in the schema, so read the raw documents
+  const cursor = Post.collection.find(
+    { 'comments.0': { $exists: true } },
+    { projection: { comments: 1 } }
+  );
+
+  let postsMigrated = 0;
+  let commentsMigrated = 0;
+
+  for await (const post of cursor) {
+    const comments = post.comments.map(comment => ({
+      _id: comment._id,
+      post: post._id,
+      author: comment.user,
+      parentId: null,
+      content: comment.content,
+      createdAt: comment.createdAt,
+      updatedAt: comment.createdAt
+    }));
+
+    try {
+      await Comment.collection.insertMany(comments, { ordered: false });
+    } catch (error) {
+      // Duplicate keys mean an earlier run already copied these comments
+      if (error.code !== 11000) throw error;
+    }
+
+    const commentsCount = await Comment.countDocuments({ post: post._id });
+    await Post.collection.updateOne(
+      { _id: post._id },
+      { $set: { commentsCount }, $unset: { comments: '' } }
+    );
+
+    postsMigrated++;
+    commentsMigrated += comments.length;
+  }
+
+  console.log(`Migrated ${commentsMigrated} comments from ${postsMigrated} posts`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error('Comment migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,70 @@
+// One-off migration: turns the likes embedded in each post into "like"
+// reactions and fills in the post's reaction counters. Safe to re-run.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Post = require('../models/post');
+const Reaction = require('../models/reaction');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // The likes field is no longer in the schema, so read the raw documents
+  const cursor = Post.collection.find(
+    { 'likes.0': { $exists: true } },
+    { projection: { likes: 1 } }
+  );
+
+  let postsMigrated = 0;
+  let likesMigrated = 0;
+
+  for await (const post of cursor) {
+    const reactions = post.likes
+      .filter(like => like.user)
+      .map(like => ({
+        post: post._id,
+        user: like.user,
+        type: 'like',
+        createdAt: like.createdAt || post._id.getTimestamp(),
+        updatedAt: like.createdAt || post._id.getTimestamp()
+      }));
+
+    try {
+      await Reaction.collection.insertMany(reactions, { ordered: false });
+    } catch (error) {
+      // Duplicate keys mean the user already has a reaction on this post
+      if (error.code !== 11000) throw error;
+    }
+
+    const counts = await Reaction.aggregate([
+      { $match: { post: post._id } },
+      { $group: { _id: '$type', count: { $sum: 1 } } }
+    ]);
+
+    const reactionCounts = Object.fromEntries(Reaction.TYPES.map(type => [type, 0]));
+    counts.forEach(({ _id, count }) => { reactionCounts[_id] = count; });
+
+    await Post.collection.updateOne(
+      { _id: post._id },
+      {
+        $set: {
+          reactionCounts,
+          reactionsCount: counts.reduce((total, { count }) => total + count, 0)
+        },
+        $unset: { likes: '' }
+      }
+    );
+
+    postsMigrated++;
+    likesMigrated += reactions.length;
+  }
+
+  console.log(`Migrated ${likesMigrated} likes from ${postsMigrated} posts`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error('Like migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
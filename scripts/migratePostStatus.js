@@ -0,0 +1,62 @@
+// One-off migration: gives posts created before drafts and scheduling a
+// status, a publishedAt date and a first revision. Safe to re-run.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Post = require('../models/post');
+const PostRevision = require('../models/postRevision');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Older posts have no status yet, so read the raw documents
+  const cursor = Post.collection.find(
+    { status: { $exists: false } },
+    { projection: { content: 1, tags: 1, author: 1, isPublished: 1, createdAt: 1 } }
+  );
+
+  let migrated = 0;
+
+  for await (const post of cursor) {
+    const isPublished = post.isPublished !== false;
+
+    await Post.collection.updateOne(
+      { _id: post._id },
+      {
+        $set: {
+          status: isPublished ? 'published' : 'draft',
+          isPublished,
+          publishedAt: isPublished ? (post.createdAt || post._id.getTimestamp()) : null,
+          publishAt: null,
+          version: 1
+        }
+      }
+    );
+
+    try {
+      await PostRevision.collection.insertOne({
+        post: post._id,
+        version: 1,
+        content: post.content,
+        tags: post.tags || [],
+        editor: post.author,
+        restoredFrom: null,
+        createdAt: post.createdAt || post._id.getTimestamp()
+      });
+    } catch (error) {
+      // Already has a first revision from an earlier run
+      if (error.code !== 11000) throw error;
+    }
+
+    migrated++;
+  }
+
+  console.log(`Migrated ${migrated} posts`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error('Post status migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
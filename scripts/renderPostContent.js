@@ -0,0 +1,35 @@
+// One-off migration: renders HTML, excerpts, read times and slugs for posts
+// written before Markdown support, and rebuilds the text index to cover
+// titles. Safe to re-run.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Post = require('../models/post');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // post_text_search changed shape, and MongoDB won't redefine an index in place
+  await Post.syncIndexes();
+
+  const cursor = Post.find({ $or: [{ slug: { $exists: false } }, { contentHtml: { $in: [null, ''] } }] })
+    .cursor();
+
+  let migrated = 0;
+
+  for await (const post of cursor) {
+    // The save hooks render the content and pick a slug
+    post.contentHtml = '';
+    await post.save({ timestamps: false });
+    migrated++;
+  }
+
+  console.log(`Rendered ${migrated} posts`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error('Post content migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,35 @@
+// Grants a role from the command line, which is how the first admin is
+// made: npm run set-role -- someone@example.com admin
+// Later changes go through PUT /api/admin/users/:id/role so they're audited.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/user');
+
+const [email, role] = process.argv.slice(2);
+
+const setRole = async () => {
+  if (!email || !User.ROLES.includes(role)) {
+    throw new Error(`Usage: npm run set-role -- <email> <${User.ROLES.join('|')}>`);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase() },
+    { $set: { role } },
+    { new: true }
+  );
+  if (!user) {
+    throw new Error(`No user with email ${email}`);
+  }
+
+  console.log(`${user.email} is now ${role === 'admin' ? 'an' : 'a'} ${role}`);
+};
+
+setRole()
+  .catch((error) => {
+    console.error('Set role failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -2,7 +2,6 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
 const passport = require('passport');
 require('dotenv').config();
 
@@ -15,10 +14,24 @@ if (process.env.MONGODB_URI) {
 }
 
 const authRoutes = require('./routes/auth');
+const accountRoutes = require('./routes/account');
 const postsRoutes = require('./routes/posts');
 const connectionsRoutes = require('./routes/connections');
 const usersRoutes = require('./routes/users');
+const exportsRoutes = require('./routes/exports');
+const notificationsRoutes = require('./routes/notifications');
+const realtimeRoutes = require('./routes/realtime');
+const searchRoutes = require('./routes/search');
+const adminRoutes = require('./routes/admin');
+const reportsRoutes = require('./routes/reports');
+const moderationRoutes = require('./routes/moderation');
+const { startPostScheduler } = require('./utils/postScheduler');
+const { startAccountPurger } = require('./utils/accountPurger');
+const { startExportWorker } = require('./utils/exportWorker');
+const { startSuspensionSweeper } = require('./utils/suspensionSweeper');
+const { UPLOADS_ROUTE, getStorage } = require('./utils/storage');
 require('./config/passport');
+const { limit } = require('./middleware/rateLimit');
 
 const app = express();
 
@@ -27,22 +40,38 @@ app.use(cors({
   origin: '*'
 }));
 
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 100,
-  message: 'Too many requests from this IP, please try again later.'
-});
-app.use('/api/', limiter);
+// Per user when signed in, per IP otherwise; routes add their own budgets
+app.use('/api/', limit('api'));
 
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
+// Uploaded files, when stored by the local-disk adapter
+const storage = getStorage();
+if (storage.root) {
+  app.use(UPLOADS_ROUTE, express.static(storage.root, {
+    maxAge: '7d',
+    setHeaders: (res) => {
+      res.set('X-Content-Type-Options', 'nosniff');
+      res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    }
+  }));
+}
+
 app.use(passport.initialize());
 
 app.use('/api/auth', authRoutes);
+app.use('/api/account', accountRoutes);
 app.use('/api/posts', postsRoutes);
 app.use('/api/connections', connectionsRoutes);
+app.use('/api/users/me/export', exportsRoutes);
 app.use('/api/users', usersRoutes);
+app.use('/api/notifications', notificationsRoutes);
+app.use('/api/realtime', realtimeRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/reports', reportsRoutes);
+app.use('/api/moderation', moderationRoutes);
 
 app.get('/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
@@ -57,18 +86,50 @@ app.get('/api', (req, res) => {
         'POST /api/auth/login': 'Login user',
         'POST /api/auth/refresh': 'Refresh access token',
         'POST /api/auth/logout': 'Logout user',
-        'GET /api/auth/google': 'Google OAuth login',
+        'GET /api/auth/sessions': 'List signed-in devices',
+        'DELETE /api/auth/sessions/:id': 'Sign a device out',
+        'POST /api/auth/verify-email': 'Verify email with emailed token',
+        'POST /api/auth/resend-verification': 'Resend verification email',
+        'POST /api/auth/forgot-password': 'Email a password reset link',
+        'POST /api/auth/reset-password': 'Reset password with emailed token',
+        'GET /api/auth/google': 'Google OAuth login (?returnTo= client path)',
+        'POST /api/auth/google/exchange': 'Trade the Google callback code for tokens',
         'GET /api/auth/me': 'Get current user info (protected)'
       },
+      account: {
+        'PUT /api/account/password': 'Change password, logging out other sessions (protected)',
+        'POST /api/account/email': 'Request an email change, confirmed from the new inbox (protected)',
+        'POST /api/account/email/confirm': 'Confirm an email change with emailed token',
+        'GET /api/account/google/link': 'Get a URL that links the Google account with the same email (protected)',
+        'DELETE /api/account/google': 'Unlink Google (protected)',
+        'POST /api/account/deactivate': 'Hide account until next login (protected)',
+        'POST /api/account/delete': 'Schedule account deletion after a grace period (protected)'
+      },
       posts: {
-        'POST /api/posts': 'Create new post (protected)',
-        'GET /api/posts/discover': 'Get discovery feed (public)',
+        'POST /api/posts': 'Create new post with optional title and Markdown content, status draft|scheduled|published with publishAt (protected)',
+        'GET /api/posts/discover': 'Get discovery feed, ?sort=&cursor=&limit= (protected)',
+        'GET /api/posts/drafts': 'Get own draft and scheduled posts, ?status= (protected)',
         'GET /api/posts/trending-tags': 'Get trending tags',
+        'GET /api/posts/by-slug/:slug': 'Get specific post by its slug',
         'GET /api/posts/:id': 'Get specific post',
-        'PUT /api/posts/:id': 'Update post (protected)',
-        'DELETE /api/posts/:id': 'Delete post (protected)',
+        'PUT /api/posts/:id': 'Update post or change its status (protected)',
+        'DELETE /api/posts/:id': 'Delete own post, or any post as a moderator (protected)',
+        'POST /api/posts/:id/hide': 'Hide a post, optional reason (moderator)',
+        'DELETE /api/posts/:id/hide': 'Unhide a post (moderator)',
+        'GET /api/posts/:id/revisions': 'Get revision history of own post (protected)',
+        'POST /api/posts/:id/revisions/:revisionId/restore': 'Restore an earlier revision of own post (protected)',
         'POST /api/posts/:id/like': 'Like/unlike post (protected)',
-        'POST /api/posts/:id/comment': 'Add comment to post (protected)',
+        'POST /api/posts/:id/attachments': 'Upload images to own post, multipart field "images" (protected)',
+        'DELETE /api/posts/:id/attachments/:attachmentId': 'Remove an image from own post (protected)',
+        'GET /api/posts/:id/reactions': 'List reactions, ?type= to filter (cursor paginated)',
+        'PUT /api/posts/:id/reactions': 'Set or change own reaction (protected)',
+        'DELETE /api/posts/:id/reactions': 'Remove own reaction (protected)',
+        'GET /api/posts/:id/comments': 'Get comments, ?parentId= for replies (cursor paginated)',
+        'POST /api/posts/:id/comments': 'Add comment or reply to post (protected)',
+        'PUT /api/posts/:id/comments/:commentId': 'Edit own comment (protected)',
+        'DELETE /api/posts/:id/comments/:commentId': 'Delete own comment, or any comment on own post (protected; moderators: any)',
+        'POST /api/posts/:id/comments/:commentId/hide': 'Hide a comment, optional reason (moderator)',
+        'DELETE /api/posts/:id/comments/:commentId/hide': 'Unhide a comment (moderator)',
         'GET /api/posts/user/:userId': 'Get posts by user'
       },
       connections: {
@@ -79,12 +140,61 @@ app.get('/api', (req, res) => {
         'PUT /api/connections/:id/decline': 'Decline connection (protected)',
         'DELETE /api/connections/:id': 'Remove connection (protected)',
         'GET /api/connections': 'Get all connections (protected)',
-        'GET /api/connections/status/:userId': 'Get connection status (protected)'
+        'GET /api/connections/status/:userId': 'Get connection status (protected)',
+        'GET /api/connections/blocked': 'Get blocked users (protected)',
+        'POST /api/connections/block/:userId': 'Block user (protected)',
+        'DELETE /api/connections/block/:userId': 'Unblock user (protected)'
       },
       users: {
         'GET /api/users/search': 'Search users (protected)',
         'GET /api/users/suggestions': 'Get user suggestions (protected)',
-        'GET /api/users/:id': 'Get user profile'
+        'PATCH /api/users/me': 'Update own profile and per-field privacy settings (protected)',
+        'POST /api/users/:id/follow': 'Follow user (protected)',
+        'DELETE /api/users/:id/follow': 'Unfollow user (protected)',
+        'GET /api/users/:id/followers': 'Get followers (cursor paginated)',
+        'GET /api/users/:id/following': 'Get followed users (cursor paginated)',
+        'PUT /api/users/me/avatar': 'Upload profile avatar, multipart field "avatar" (protected)',
+        'DELETE /api/users/me/avatar': 'Remove profile avatar (protected)',
+        'POST /api/users/me/export': 'Start a personal data export (protected)',
+        'GET /api/users/me/export': 'List own data exports (protected)',
+        'GET /api/users/me/export/:jobId': 'Get export status and download link (protected)',
+        'GET /api/users/me/export/:jobId/download': 'Download export archive with signed ?token=',
+        'GET /api/users/:id': 'Get user profile, fields filtered by the owner\'s privacy settings',
+        'GET /api/users/stats/overview': 'Site-wide counts (moderator)'
+      },
+      search: {
+        'GET /api/search/posts': 'Search posts, ?q=&tag=&author=&from=&to=&connectionsOnly= (cursor paginated)'
+      },
+      notifications: {
+        'GET /api/notifications': 'Get notifications, ?unread=true (cursor paginated, protected)',
+        'GET /api/notifications/unread-count': 'Get unread count (protected)',
+        'PUT /api/notifications/:id/read': 'Mark notification read (protected)',
+        'PUT /api/notifications/read-all': 'Mark all notifications read (protected)',
+        'GET /api/notifications/preferences': 'Get muted notification types (protected)',
+        'PUT /api/notifications/preferences': 'Set muted notification types (protected)'
+      },
+      reports: {
+        'POST /api/reports': 'Report a post, comment or user with a category and details (protected)'
+      },
+      moderation: {
+        'GET /api/moderation/queue': 'Reported content, ?status=&targetType= (cursor paginated, moderator)',
+        'GET /api/moderation/cases/:id': 'A case with its reports (moderator)',
+        'POST /api/moderation/cases/:id/dismiss': 'Dismiss reports, undoing an automatic hide (moderator)',
+        'POST /api/moderation/cases/:id/hide': 'Hide the reported post or comment (moderator)',
+        'POST /api/moderation/cases/:id/warn': 'Email the owner a warning (moderator)',
+        'POST /api/moderation/cases/:id/suspend': 'Suspend the owner for durationDays (moderator)'
+      },
+      admin: {
+        'GET /api/admin/staff': 'List moderators and admins (admin)',
+        'PUT /api/admin/users/:id/role': 'Promote or demote a user, body role and optional reason (admin)',
+        'POST /api/admin/users/:id/suspend': 'Suspend a user for durationDays, optional reason and hideContent (moderator)',
+        'POST /api/admin/users/:id/ban': 'Ban a user permanently, optional reason and hideContent (admin)',
+        'DELETE /api/admin/users/:id/suspension': 'Lift a suspension (moderator) or ban (admin) early',
+        'GET /api/admin/audit-log': 'Privileged actions, ?actor=&action=&targetType=&targetId= (cursor paginated, admin)'
+      },
+      realtime: {
+        'GET /api/realtime/stream': 'Server-sent events; token via header or ?access_token=, ends with a revoked event once the token is (protected)',
+        'PUT /api/realtime/subscriptions/:connectionId': 'Set the post IDs a stream gets count updates for (protected)'
       }
     }
   });
@@ -104,6 +214,11 @@ console.log('Attempting MongoDB connection...');
 mongoose.connect(process.env.MONGODB_URI)
 .then(() => {
   console.log('✅ Connected to MongoDB successfully!');
+
+  startPostScheduler();
+  startAccountPurger();
+  startExportWorker();
+  startSuspensionSweeper();
   
   // Start server
   const PORT = process.env.PORT || 3000;
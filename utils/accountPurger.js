@@ -0,0 +1,54 @@
+const User = require('../models/user');
+const { purgeAccount } = require('./accountUtils');
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+const CLAIM_LEASE_MS = 60 * 60 * 1000;
+
+let timer = null;
+
+// Purges every account whose deletion grace period is over. Each account is
+// claimed by pushing its deletion time out by a lease, so parallel workers
+// skip it, and a purge that dies part-way is picked up again later.
+const purgeDueAccounts = async () => {
+  let purged = 0;
+
+  for (;;) {
+    const now = new Date();
+    const user = await User.findOneAndUpdate(
+      { deletionScheduledAt: { $lte: now } },
+      { $set: { deletionScheduledAt: new Date(now.getTime() + CLAIM_LEASE_MS) } },
+      { sort: { deletionScheduledAt: 1 } }
+    ).select('_id');
+    if (!user) break;
+
+    await purgeAccount(user._id);
+    purged++;
+  }
+
+  return purged;
+};
+
+const startAccountPurger = (intervalMs = parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  if (timer) return;
+
+  const tick = () => {
+    purgeDueAccounts()
+      .then(count => {
+        if (count > 0) console.log(`🗑️ Purged ${count} deleted account(s)`);
+      })
+      .catch(error => console.error('Account purger error:', error));
+  };
+
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+  tick();
+};
+
+const stopAccountPurger = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = { purgeDueAccounts, startAccountPurger, stopAccountPurger };
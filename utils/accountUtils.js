@@ -0,0 +1,109 @@
+const User = require('../models/user');
+const Post = require('../models/post');
+const Comment = require('../models/comment');
+const Reaction = require('../models/reaction');
+const Connection = require('../models/connection');
+const Follow = require('../models/follow');
+const Notification = require('../models/notification');
+const ActionToken = require('../models/actionToken');
+const ExportJob = require('../models/exportJob');
+const Session = require('../models/session');
+const Report = require('../models/report');
+const { PUBLISHED_EXPRESSION, deletePostData } = require('./postUtils');
+const { deleteCommentThread } = require('./commentUtils');
+const { removeReaction } = require('./reactionUtils');
+const { imageKeys } = require('./mediaUtils');
+const { removeFiles, getPrivateStorage } = require('./storage');
+const { revokeAllSessions } = require('./sessionUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+
+// Accounts without a password (Google-only) never pass: a stolen access
+// token mustn't be enough to take them over. They confirm by email instead
+// (see routes/account.js).
+const confirmPassword = async (user, password) => {
+  if (!user.password) return false;
+  return typeof password === 'string' && user.comparePassword(password);
+};
+
+// Hides the account and its posts and ends every session. Nothing is lost:
+// logging in again brings it all back.
+const deactivateAccount = async (user) => {
+  user.deactivatedAt = new Date();
+  await user.save();
+  await revokeAllSessions(user._id);
+  await Post.updateMany(
+    { author: user._id },
+    { $set: { authorDeactivated: true, isPublished: false } }
+  );
+};
+
+// Undoes deactivation, and cancels a pending deletion with it
+const reactivateAccount = async (user) => {
+  user.deactivatedAt = null;
+  user.deletionScheduledAt = null;
+  await user.save();
+  await Post.updateMany(
+    { author: user._id, authorDeactivated: true },
+    [{ $set: { authorDeactivated: false } }, { $set: { isPublished: PUBLISHED_EXPRESSION } }]
+  );
+};
+
+const scheduleAccountDeletion = async (user) => {
+  user.deletionScheduledAt = new Date(Date.now() + DELETION_GRACE_DAYS * DAY_MS);
+  await deactivateAccount(user);
+};
+
+// Permanently removes a user and everything they made. Counters on other
+// people's posts and comments are kept in step. Safe to re-run if a purge
+// is interrupted part-way.
+const purgeAccount = async (userId) => {
+  const user = await User.findById(userId).select('avatar');
+
+  const posts = await Post.find({ author: userId }).select('attachments');
+  for (const post of posts) {
+    await deletePostData(post);
+  }
+
+  // Top-level comments first; their replies go with them
+  const comments = await Comment.find({ author: userId })
+    .select('post parentId')
+    .sort({ parentId: 1 })
+    .lean();
+  for (const comment of comments) {
+    await deleteCommentThread(comment);
+  }
+
+  const reactions = await Reaction.find({ user: userId }).select('post').lean();
+  for (const reaction of reactions) {
+    await removeReaction(reaction.post, userId);
+  }
+
+  await Connection.deleteMany({ $or: [{ requester: userId }, { recipient: userId }] });
+  await Follow.deleteMany({ $or: [{ follower: userId }, { followee: userId }] });
+  await Notification.deleteMany({ recipient: userId });
+  await Notification.updateMany({ actors: userId }, { $pull: { actors: userId } });
+  await Notification.deleteMany({ actors: { $size: 0 } });
+  await ActionToken.deleteMany({ user: userId });
+  await Session.deleteMany({ user: userId });
+  await Report.deleteMany({ reporter: userId });
+
+  const exportJobs = await ExportJob.find({ user: userId, fileKey: { $ne: null } }).select('fileKey').lean();
+  for (const job of exportJobs) {
+    await getPrivateStorage().remove(job.fileKey);
+  }
+  await ExportJob.deleteMany({ user: userId });
+
+  if (user) await removeFiles(imageKeys(user.avatar));
+  await User.deleteOne({ _id: userId });
+};
+
+module.exports = {
+  DELETION_GRACE_DAYS,
+  confirmPassword,
+  deactivateAccount,
+  reactivateAccount,
+  scheduleAccountDeletion,
+  purgeAccount
+};
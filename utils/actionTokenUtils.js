@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const ActionToken = require('../models/actionToken');
+
+const TOKEN_LIFETIMES = {
+  verify_email: 24 * 60 * 60, // seconds
+  reset_password: 60 * 60,
+  change_email: 24 * 60 * 60,
+  link_google: 10 * 60,
+  // Mailed to Google-only accounts in place of asking for a password
+  confirm_set_password: 60 * 60,
+  confirm_change_email: 60 * 60,
+  confirm_deactivate: 60 * 60,
+  confirm_delete: 60 * 60,
+  // The one-time code the Google callback hands the client
+  google_login: 60
+};
+
+const actionSecret = () => process.env.JWT_ACTION_SECRET || process.env.JWT_SECRET;
+
+// Issues a signed, expiring token for an emailed link. Any earlier token for
+// the same purpose stops working, so only the newest email's link is live.
+// `email` is the address the link vouches for; an email change passes the
+// new one.
+const issueActionToken = async (user, purpose, email = user.email) => {
+  const jti = crypto.randomUUID();
+  const expiresIn = TOKEN_LIFETIMES[purpose];
+
+  await ActionToken.deleteMany({ user: user._id, purpose });
+  await ActionToken.create({
+    jti,
+    user: user._id,
+    purpose,
+    expiresAt: new Date(Date.now() + expiresIn * 1000)
+  });
+
+  // Binding the email means a verification link dies if the address changes
+  return jwt.sign(
+    { id: user._id, purpose, email },
+    actionSecret(),
+    { expiresIn, jwtid: jti }
+  );
+};
+
+// Checks signature, expiry and purpose, then burns the token. Resolves to the
+// decoded payload, or null if the token is bad, expired or already used.
+const consumeActionToken = async (token, purpose) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, actionSecret());
+  } catch (error) {
+    return null;
+  }
+
+  if (payload.purpose !== purpose || !payload.jti) return null;
+
+  const record = await ActionToken.findOneAndDelete({
+    jti: payload.jti,
+    user: payload.id,
+    purpose
+  });
+
+  return record ? payload : null;
+};
+
+const revokeActionTokens = (userId, purpose) => ActionToken.deleteMany({ user: userId, purpose });
+
+module.exports = { issueActionToken, consumeActionToken, revokeActionTokens };
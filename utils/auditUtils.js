@@ -0,0 +1,16 @@
+const AuditLog = require('../models/auditLog');
+
+// Records a privileged action taken by the signed-in user. Called after the
+// action succeeds, so the trail never shows something that didn't happen.
+const recordAudit = (req, { action, targetType, targetId, reason = null, details = {} }) =>
+  AuditLog.create({
+    actor: req.user._id,
+    action,
+    targetType,
+    targetId,
+    reason: reason || null,
+    details,
+    ip: req.ip || null
+  });
+
+module.exports = { recordAudit };
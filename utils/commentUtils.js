@@ -0,0 +1,31 @@
+const Comment = require('../models/comment');
+const Post = require('../models/post');
+const Notification = require('../models/notification');
+const { publishPostCounts } = require('./realtimeUtils');
+
+// Deletes a comment and, for a top-level comment, its replies, keeping the
+// post and parent counters in step. Resolves to the number of comments removed.
+const deleteCommentThread = async (comment) => {
+  const thread = await Comment.find({
+    $or: [
+      { _id: comment._id },
+      { parentId: comment._id }
+    ]
+  }).select('_id').lean();
+  const threadIds = thread.map(entry => entry._id);
+
+  const { deletedCount } = await Comment.deleteMany({ _id: { $in: threadIds } });
+  if (deletedCount === 0) return 0;
+
+  await Notification.deleteMany({ comment: { $in: threadIds } });
+
+  await Post.updateOne({ _id: comment.post }, { $inc: { commentsCount: -deletedCount } });
+  if (comment.parentId) {
+    await Comment.updateOne({ _id: comment.parentId }, { $inc: { repliesCount: -1 } });
+  }
+  await publishPostCounts(comment.post);
+
+  return deletedCount;
+};
+
+module.exports = { deleteCommentThread };
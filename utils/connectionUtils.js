@@ -0,0 +1,80 @@
+const Connection = require('../models/connection');
+const Follow = require('../models/follow');
+
+// IDs of every user with an accepted connection to userId
+const getConnectedUserIds = async (userId) => {
+  const connections = await Connection.find({
+    $or: [
+      { requester: userId, status: 'accepted' },
+      { recipient: userId, status: 'accepted' }
+    ]
+  }).select('requester recipient').lean();
+
+  return connections.map(conn =>
+    conn.requester.equals(userId) ? conn.recipient : conn.requester
+  );
+};
+
+// IDs of users connected to one of firstDegreeIds, minus userId and the
+// first-degree connections themselves
+const getSecondDegreeUserIds = async (userId, firstDegreeIds) => {
+  if (firstDegreeIds.length === 0) return [];
+
+  const connections = await Connection.find({
+    status: 'accepted',
+    $or: [
+      { requester: { $in: firstDegreeIds } },
+      { recipient: { $in: firstDegreeIds } }
+    ]
+  }).select('requester recipient').lean();
+
+  const excluded = new Set([userId, ...firstDegreeIds].map(String));
+  const secondDegree = new Map();
+  connections.forEach(conn => {
+    [conn.requester, conn.recipient].forEach(id => {
+      if (!excluded.has(id.toString())) secondDegree.set(id.toString(), id);
+    });
+  });
+
+  return [...secondDegree.values()];
+};
+
+// IDs of users on either side of a block with userId. Blocks hide people
+// from each other in both directions.
+const getBlockedUserIds = async (userId) => {
+  const blocks = await Connection.find({
+    status: 'blocked',
+    $or: [
+      { requester: userId },
+      { recipient: userId }
+    ]
+  }).select('requester recipient').lean();
+
+  return blocks.map(block =>
+    block.requester.equals(userId) ? block.recipient : block.requester
+  );
+};
+
+// IDs of every user userId follows
+const getFollowedUserIds = async (userId) => {
+  const follows = await Follow.find({ follower: userId }).select('followee').lean();
+  return follows.map(follow => follow.followee);
+};
+
+// Whether blockerId has blocked targetId (one direction only)
+const hasBlocked = async (blockerId, targetId) => {
+  const block = await Connection.exists({
+    requester: blockerId,
+    recipient: targetId,
+    status: 'blocked'
+  });
+  return !!block;
+};
+
+module.exports = {
+  getConnectedUserIds,
+  getSecondDegreeUserIds,
+  getFollowedUserIds,
+  getBlockedUserIds,
+  hasBlocked
+};
@@ -0,0 +1,150 @@
+const Post = require('../models/post');
+const Comment = require('../models/comment');
+const config = require('../config/contentFilters');
+
+// Every post and comment is run past these filters when it is created, and
+// again whenever its text is edited. A filter is an (async) function of
+//
+//   { targetType: 'post'|'comment', action: 'create'|'update', authorId,
+//     title, content, doc }
+//
+// (doc is the post or comment being edited, null on create) and resolves to
+// nothing to allow it, or to { verdict: 'flag'|'reject', reason } - plus an
+// optional HTTP status for rejections. The first rejection ends the run;
+// flags are collected and land in the moderation queue once it is saved.
+
+const filters = new Map(); // name -> filter, run in registration order
+
+const registerContentFilter = (name, filter) => {
+  if (filters.has(name)) {
+    throw new Error(`Content filter "${name}" is already registered`);
+  }
+  filters.set(name, filter);
+};
+
+const unregisterContentFilter = (name) => filters.delete(name);
+
+// Resolves to { verdict: 'allow' } or { verdict: 'flag', reasons } or
+// { verdict: 'reject', filter, reason, status }. A filter that throws is
+// logged and skipped: a broken filter shouldn't stop everyone posting.
+const runContentFilters = async (context) => {
+  const reasons = [];
+
+  for (const [name, filter] of filters) {
+    let result;
+    try {
+      result = await filter(context);
+    } catch (error) {
+      console.error(`Content filter "${name}" error:`, error);
+      continue;
+    }
+    if (!result || result.verdict === 'allow') continue;
+
+    if (result.verdict === 'reject') {
+      return { verdict: 'reject', filter: name, reason: result.reason, status: result.status || 400 };
+    }
+    reasons.push({ filter: name, reason: result.reason });
+  }
+
+  return reasons.length > 0 ? { verdict: 'flag', reasons } : { verdict: 'allow' };
+};
+
+const textOf = ({ title, content }) => [title, content].filter(Boolean).join('\n');
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole words or phrases only, so "class" doesn't trip over "ass"; the
+// words of a phrase may be split by any run of whitespace
+const wordPattern = (words) => {
+  if (words.length === 0) return null;
+  const alternatives = words.map(word => escapeRegExp(word).replace(/\s+/g, '\\s+'));
+  return new RegExp(`(?<![\\p{L}\\p{N}])(${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'iu');
+};
+
+const REJECTED_WORDS = wordPattern(config.bannedWords.reject);
+const FLAGGED_WORDS = wordPattern(config.bannedWords.flag);
+
+const bannedWords = ({ title, content }) => {
+  const text = textOf({ title, content });
+  if (REJECTED_WORDS && REJECTED_WORDS.test(text)) {
+    return { verdict: 'reject', reason: 'Your text contains language that is not allowed here' };
+  }
+  const flagged = FLAGGED_WORDS && text.match(FLAGGED_WORDS);
+  if (flagged) {
+    return { verdict: 'flag', reason: `Contains the flagged term "${flagged[1].toLowerCase()}"` };
+  }
+  return null;
+};
+
+const LINK_PATTERN = /\bhttps?:\/\/[^\s<>()]+|\bwww\.[^\s<>()]+/gi;
+
+const countLinks = (text) => (text.match(LINK_PATTERN) || []).length;
+
+const linkCount = ({ targetType, title, content }) => {
+  const limits = config.links[targetType];
+  const links = countLinks(textOf({ title, content }));
+  if (links > limits.max) {
+    return { verdict: 'reject', reason: `A ${targetType} can contain at most ${limits.max} links` };
+  }
+  if (links > limits.flagAt) {
+    return { verdict: 'flag', reason: `Contains ${links} links` };
+  }
+  return null;
+};
+
+const MODELS = { post: Post, comment: Comment };
+
+const normalize = (text) => (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+const duplicateContent = async ({ targetType, authorId, content, doc }) => {
+  const normalized = normalize(content);
+  if (normalized.length < config.duplicates.minLength) return null;
+
+  const filter = {
+    author: authorId,
+    createdAt: { $gte: new Date(Date.now() - config.duplicates.windowHours * 60 * 60 * 1000) }
+  };
+  if (doc) filter._id = { $ne: doc._id };
+
+  const recent = await MODELS[targetType].find(filter)
+    .select('content')
+    .sort({ createdAt: -1 })
+    .limit(config.duplicates.lookback)
+    .lean();
+
+  if (recent.some(entry => normalize(entry.content) === normalized)) {
+    return { verdict: 'reject', reason: `You have already posted this ${targetType}` };
+  }
+  return null;
+};
+
+const burst = async ({ targetType, action, authorId }) => {
+  if (action !== 'create') return null;
+
+  const windowSeconds = config.burst.windowSeconds;
+  const recent = await MODELS[targetType].countDocuments({
+    author: authorId,
+    createdAt: { $gte: new Date(Date.now() - windowSeconds * 1000) }
+  });
+
+  if (recent >= config.burst[targetType]) {
+    return {
+      verdict: 'reject',
+      status: 429,
+      reason: `You are posting too quickly; wait ${windowSeconds} seconds and try again`
+    };
+  }
+  return null;
+};
+
+// Cheap checks first, so a rejection often never reaches the database
+registerContentFilter('banned-words', bannedWords);
+registerContentFilter('link-count', linkCount);
+registerContentFilter('burst', burst);
+registerContentFilter('duplicate-content', duplicateContent);
+
+module.exports = {
+  registerContentFilter,
+  unregisterContentFilter,
+  runContentFilters
+};
@@ -0,0 +1,256 @@
+const archiver = require('archiver');
+const jwt = require('jsonwebtoken');
+const User = require('../models/user');
+const Post = require('../models/post');
+const PostRevision = require('../models/postRevision');
+const Comment = require('../models/comment');
+const Reaction = require('../models/reaction');
+const Connection = require('../models/connection');
+const Follow = require('../models/follow');
+const Notification = require('../models/notification');
+const Report = require('../models/report');
+const { escapeHtml } = require('./searchUtils');
+
+const DOWNLOAD_LINK_LIFETIME = 15 * 60; // seconds
+const ARCHIVE_RETENTION_HOURS = parseInt(process.env.EXPORT_RETENTION_HOURS) || 48;
+
+// Credentials and derived index fields are ours, not the user's data, and
+// which moderator suspended them is the moderators' business
+const PROFILE_EXCLUDE = '-password -tokenVersion -firstNameSearch -lastNameSearch -fullNameSearch -suspension.by -__v';
+
+const nameOf = (user) => (user ? `${user.firstName} ${user.lastName}` : null);
+
+// Populated refs are null when the other account no longer exists
+const sentBy = (conn, userId) => !!conn.requester && conn.requester._id.equals(userId);
+
+// Everything stored about userId, grouped the way the archive lays it out
+const collectUserData = async (userId) => {
+  const profile = await User.findById(userId).select(PROFILE_EXCLUDE).lean();
+  if (!profile) return null;
+
+  const googleId = profile.googleId;
+  delete profile.googleId;
+  profile.googleLinked = !!googleId;
+
+  const posts = await Post.find({ author: userId }).sort({ createdAt: 1 }).lean();
+  const revisions = await PostRevision.find({ post: { $in: posts.map(post => post._id) } })
+    .sort({ post: 1, version: 1 })
+    .lean();
+  const comments = await Comment.find({ author: userId }).sort({ createdAt: 1 }).lean();
+  const reactions = await Reaction.find({ user: userId }).sort({ createdAt: 1 }).lean();
+
+  const connectionDocs = await Connection.find({
+    $or: [{ requester: userId }, { recipient: userId }]
+  })
+    .populate('requester recipient', 'firstName lastName')
+    .sort({ createdAt: 1 })
+    .lean();
+  // Another user's block on this one is theirs to know about, not ours to export
+  const connections = connectionDocs
+    .filter(conn => conn.status !== 'blocked' || sentBy(conn, userId))
+    .map(conn => {
+      const sent = sentBy(conn, userId);
+      const other = sent ? conn.recipient : conn.requester;
+      return {
+        _id: conn._id,
+        status: conn.status,
+        direction: sent ? 'sent' : 'received',
+        user: other && { _id: other._id, name: nameOf(other) },
+        createdAt: conn.createdAt,
+        updatedAt: conn.updatedAt
+      };
+    });
+  const connectionRequests = connectionDocs
+    .filter(conn => sentBy(conn, userId) && conn.message)
+    .map(conn => ({
+      _id: conn._id,
+      to: conn.recipient && { _id: conn.recipient._id, name: nameOf(conn.recipient) },
+      message: conn.message,
+      status: conn.status,
+      sentAt: conn.createdAt
+    }));
+
+  const [following, followers] = await Promise.all([
+    Follow.find({ follower: userId }).populate('followee', 'firstName lastName').lean(),
+    Follow.find({ followee: userId }).populate('follower', 'firstName lastName').lean()
+  ]);
+  const notifications = await Notification.find({ recipient: userId }).sort({ createdAt: 1 }).lean();
+  // What they reported; the moderation case it joined is internal
+  const reports = await Report.find({ reporter: userId })
+    .select('targetType targetId category details createdAt')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  return {
+    profile,
+    posts,
+    postRevisions: revisions,
+    comments,
+    reactions,
+    connections,
+    connectionRequests,
+    follows: {
+      following: following.map(follow => ({
+        user: follow.followee && { _id: follow.followee._id, name: nameOf(follow.followee) },
+        since: follow.createdAt
+      })),
+      followers: followers.map(follow => ({
+        user: follow.follower && { _id: follow.follower._id, name: nameOf(follow.follower) },
+        since: follow.createdAt
+      }))
+    },
+    notifications,
+    reports
+  };
+};
+
+const ARCHIVE_FILES = {
+  profile: 'profile.json',
+  posts: 'posts.json',
+  postRevisions: 'post-revisions.json',
+  comments: 'comments.json',
+  reactions: 'reactions.json',
+  connections: 'connections.json',
+  connectionRequests: 'connection-requests.json',
+  follows: 'follows.json',
+  notifications: 'notifications.json',
+  reports: 'reports.json'
+};
+
+const formatDate = (value) => (value ? new Date(value).toISOString().replace('T', ' ').slice(0, 16) : '');
+
+const table = (headings, rows) => {
+  if (rows.length === 0) return '<p><em>Nothing here.</em></p>';
+  const head = headings.map(heading => `<th>${escapeHtml(heading)}</th>`).join('');
+  const body = rows
+    .map(row => `<tr>${row.map(cell => `<td>${escapeHtml(String(cell ?? ''))}</td>`).join('')}</tr>`)
+    .join('\n');
+  return `<table><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+};
+
+// A readable overview of the archive; the JSON files hold the full detail
+const renderIndexHtml = (data, generatedAt) => {
+  const { profile } = data;
+  const profileRows = [
+    ['Name', nameOf(profile)],
+    ['Email', profile.email],
+    ['Headline', profile.headline],
+    ['Location', profile.location],
+    ['Website', profile.website],
+    ['Skills', (profile.skills || []).join(', ')],
+    ['Google account linked', profile.googleLinked ? 'Yes' : 'No'],
+    ['Member since', formatDate(profile.createdAt)]
+  ];
+
+  const sections = [
+    ['Profile', table(['Field', 'Value'], profileRows)],
+    [`Posts (${data.posts.length})`, table(
+      ['Created', 'Status', 'Title', 'Excerpt'],
+      data.posts.map(post => [formatDate(post.createdAt), post.status, post.title, post.excerpt])
+    )],
+    [`Comments (${data.comments.length})`, table(
+      ['Written', 'Post', 'Comment'],
+      data.comments.map(comment => [formatDate(comment.createdAt), comment.post, comment.content])
+    )],
+    [`Reactions (${data.reactions.length})`, table(
+      ['When', 'Post', 'Reaction'],
+      data.reactions.map(reaction => [formatDate(reaction.createdAt), reaction.post, reaction.type])
+    )],
+    [`Connections (${data.connections.length})`, table(
+      ['Since', 'With', 'Status', 'Direction'],
+      data.connections.map(conn => [formatDate(conn.createdAt), conn.user && conn.user.name, conn.status, conn.direction])
+    )],
+    [`Connection request messages (${data.connectionRequests.length})`, table(
+      ['Sent', 'To', 'Message'],
+      data.connectionRequests.map(request => [formatDate(request.sentAt), request.to && request.to.name, request.message])
+    )],
+    [`Following (${data.follows.following.length})`, table(
+      ['Since', 'User'],
+      data.follows.following.map(follow => [formatDate(follow.since), follow.user && follow.user.name])
+    )],
+    [`Followers (${data.follows.followers.length})`, table(
+      ['Since', 'User'],
+      data.follows.followers.map(follow => [formatDate(follow.since), follow.user && follow.user.name])
+    )],
+    [`Reports you filed (${data.reports.length})`, table(
+      ['Filed', 'About', 'Category', 'Details'],
+      data.reports.map(report => [formatDate(report.createdAt), `${report.targetType} ${report.targetId}`, report.category, report.details])
+    )]
+  ];
+
+  const fileList = Object.values(ARCHIVE_FILES)
+    .map(file => `<li><a href="data/${file}">${file}</a></li>`)
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Your data export</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 60rem; padding: 0 1rem; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; }
+th, td { border: 1px solid #ddd; padding: .4rem; text-align: left; vertical-align: top; }
+th { background: #f5f5f5; }
+</style>
+</head>
+<body>
+<h1>Data export for ${escapeHtml(nameOf(profile))}</h1>
+<p>Generated ${escapeHtml(formatDate(generatedAt))} UTC. The full data is in these files:</p>
+<ul>
+${fileList}
+</ul>
+${sections.map(([heading, content]) => `<h2>${escapeHtml(heading)}</h2>\n${content}`).join('\n')}
+</body>
+</html>
+`;
+};
+
+// Zips the data as data/*.json plus index.html, resolving to a Buffer
+const buildArchive = (data, generatedAt = new Date()) => new Promise((resolve, reject) => {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const chunks = [];
+
+  archive.on('data', chunk => chunks.push(chunk));
+  archive.on('warning', reject);
+  archive.on('error', reject);
+  archive.on('end', () => resolve(Buffer.concat(chunks)));
+
+  Object.entries(ARCHIVE_FILES).forEach(([section, file]) => {
+    archive.append(JSON.stringify(data[section], null, 2), { name: `data/${file}` });
+  });
+  archive.append(renderIndexHtml(data, generatedAt), { name: 'index.html' });
+  archive.finalize();
+});
+
+const downloadSecret = () => process.env.JWT_ACTION_SECRET || process.env.JWT_SECRET;
+
+// Short-lived signed link, so the archive can be fetched by a plain browser
+// download without the access token in it
+const signDownloadToken = (job) => {
+  const secondsLeft = Math.floor((job.expiresAt.getTime() - Date.now()) / 1000);
+  return jwt.sign(
+    { job: job._id.toString(), user: job.user.toString(), purpose: 'export_download' },
+    downloadSecret(),
+    { expiresIn: Math.max(1, Math.min(DOWNLOAD_LINK_LIFETIME, secondsLeft)) }
+  );
+};
+
+const verifyDownloadToken = (token, jobId) => {
+  try {
+    const payload = jwt.verify(token, downloadSecret());
+    return payload.purpose === 'export_download' && payload.job === jobId ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  DOWNLOAD_LINK_LIFETIME,
+  ARCHIVE_RETENTION_HOURS,
+  collectUserData,
+  renderIndexHtml,
+  buildArchive,
+  signDownloadToken,
+  verifyDownloadToken
+};
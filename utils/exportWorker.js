@@ -0,0 +1,105 @@
+const ExportJob = require('../models/exportJob');
+const { collectUserData, buildArchive, ARCHIVE_RETENTION_HOURS } = require('./exportUtils');
+const { getPrivateStorage } = require('./storage');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+// A job stuck in processing this long belongs to a worker that died
+const STALE_AFTER_MS = 30 * 60 * 1000;
+
+let timer = null;
+let running = null;
+
+const buildExport = async (job) => {
+  const data = await collectUserData(job.user);
+  if (!data) throw new Error('User no longer exists');
+
+  const completedAt = new Date();
+  const archive = await buildArchive(data, completedAt);
+  const fileKey = `exports/${job.user}/${job._id}.zip`;
+  await getPrivateStorage().save(fileKey, archive, 'application/zip');
+
+  await ExportJob.updateOne({ _id: job._id }, {
+    $set: {
+      status: 'ready',
+      fileKey,
+      size: archive.length,
+      completedAt,
+      expiresAt: new Date(completedAt.getTime() + ARCHIVE_RETENTION_HOURS * HOUR_MS)
+    }
+  });
+};
+
+// Builds every pending export, claiming each with findOneAndUpdate so
+// parallel workers never build the same one
+const processPendingExports = async () => {
+  let processed = 0;
+
+  for (;;) {
+    const now = new Date();
+    const job = await ExportJob.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending' },
+          { status: 'processing', startedAt: { $lte: new Date(now.getTime() - STALE_AFTER_MS) } }
+        ]
+      },
+      { $set: { status: 'processing', startedAt: now } },
+      { new: true, sort: { createdAt: 1 } }
+    );
+    if (!job) break;
+
+    try {
+      await buildExport(job);
+    } catch (error) {
+      console.error('Export build error:', error);
+      await ExportJob.updateOne({ _id: job._id }, {
+        $set: { status: 'failed', error: 'Export could not be generated', completedAt: new Date() }
+      });
+    }
+    processed++;
+  }
+
+  return processed;
+};
+
+// Deletes archives past their retention time; the job stays as history
+const expireOldExports = async () => {
+  const expired = await ExportJob.find({ status: 'ready', expiresAt: { $lte: new Date() } });
+  for (const job of expired) {
+    await getPrivateStorage().remove(job.fileKey);
+    await ExportJob.updateOne({ _id: job._id }, { $set: { status: 'expired', fileKey: null } });
+  }
+  return expired.length;
+};
+
+// Runs one pass, or joins the pass already in flight
+const runExportWorker = () => {
+  if (!running) {
+    running = Promise.all([processPendingExports(), expireOldExports()])
+      .then(([built, expired]) => {
+        if (built > 0) console.log(`📦 Built ${built} data export(s)`);
+        if (expired > 0) console.log(`📦 Expired ${expired} data export(s)`);
+      })
+      .catch(error => console.error('Export worker error:', error))
+      .finally(() => { running = null; });
+  }
+  return running;
+};
+
+const startExportWorker = (intervalMs = parseInt(process.env.EXPORT_WORKER_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  if (timer) return;
+
+  timer = setInterval(runExportWorker, intervalMs);
+  timer.unref();
+  runExportWorker();
+};
+
+const stopExportWorker = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = { processPendingExports, expireOldExports, runExportWorker, startExportWorker, stopExportWorker };
@@ -0,0 +1,268 @@
+const Post = require('../models/post');
+const Comment = require('../models/comment');
+const Reaction = require('../models/reaction');
+const trending = require('../config/trending');
+const { encodeCursor, cursorValues, keysetFilter } = require('./pagination');
+
+const HOUR_MS = 60 * 60 * 1000;
+const RECENT_WINDOW_MS = 24 * HOUR_MS;
+const COMMENT_PREVIEW_SIZE = 3;
+
+// Feed cards show the title and excerpt; the body is fetched on open
+const FEED_CARD_EXCLUDE = { content: 0, contentHtml: 0 };
+// Past this many half-lives a reaction or comment adds under 0.1% of its weight
+const TRENDING_HORIZON_HALF_LIVES = 10;
+
+const SORT_SPECS = {
+  latest: { publishedAt: -1, _id: -1 },
+  oldest: { publishedAt: 1, _id: 1 },
+  popular: { reactionsCount: -1, publishedAt: -1, _id: -1 },
+  trending: { trendingScore: -1, publishedAt: -1, _id: -1 }
+};
+
+const FEED_SORTS = Object.keys(SORT_SPECS);
+
+// Recent posts from connections are served first, then everything else.
+// Callers pass followed authors in with connections; they rank the same.
+// Users without connections or follows get a single segment.
+const feedSegments = (connectedUserIds) =>
+  connectedUserIds.length > 1 ? ['recentConnections', 'rest'] : ['all'];
+
+const segmentMatch = (segment, connectedUserIds, since) => {
+  const recentFromConnections = {
+    author: { $in: connectedUserIds },
+    publishedAt: { $gte: since }
+  };
+
+  switch (segment) {
+    case 'recentConnections':
+      return recentFromConnections;
+    case 'rest':
+      return { $nor: [recentFromConnections] };
+    default:
+      return {};
+  }
+};
+
+// 0.5 ^ (age / half-life), where age is measured from the feed's asOf time
+const decayExpression = (dateExpr, asOf) => ({
+  $pow: [
+    0.5,
+    {
+      $divide: [
+        { $max: [0, { $subtract: [asOf, dateExpr] }] },
+        trending.halfLifeHours * HOUR_MS
+      ]
+    }
+  ]
+});
+
+const decayedSum = (arrayField, asOf) => ({
+  $sum: {
+    $map: {
+      input: { $ifNull: [arrayField, []] },
+      as: 'event',
+      in: decayExpression({ $ifNull: ['$$event.createdAt', '$publishedAt'] }, asOf)
+    }
+  }
+});
+
+// Timestamps of a post's reactions or comments recent enough to still matter
+const recentEventsLookup = (model, as, asOf) => ({
+  $lookup: {
+    from: model.collection.name,
+    let: { postId: '$_id' },
+    pipeline: [
+      {
+        $match: {
+          $expr: { $eq: ['$post', '$$postId'] },
+          createdAt: {
+            $gte: new Date(asOf.getTime() - TRENDING_HORIZON_HALF_LIVES * trending.halfLifeHours * HOUR_MS)
+          }
+        }
+      },
+      { $project: { _id: 0, createdAt: 1 } }
+    ],
+    as
+  }
+});
+
+// Every reaction and comment counts for less the older it is, the post itself
+// gets a fading freshness bonus, and posts by connections are boosted.
+const trendingStages = ({ asOf, affinityUserIds }) => [
+  recentEventsLookup(Reaction, 'recentReactions', asOf),
+  recentEventsLookup(Comment, 'recentComments', asOf),
+  {
+    $addFields: {
+      scoreBreakdown: {
+        reactions: { $multiply: [trending.weights.reactions, decayedSum('$recentReactions', asOf)] },
+        comments: { $multiply: [trending.weights.comments, decayedSum('$recentComments', asOf)] },
+        recency: { $multiply: [trending.weights.recency, decayExpression('$publishedAt', asOf)] },
+        affinity: { $cond: [{ $in: ['$author', affinityUserIds] }, trending.connectionBoost, 1] }
+      }
+    }
+  },
+  {
+    $addFields: {
+      trendingScore: {
+        $multiply: [
+          { $add: ['$scoreBreakdown.reactions', '$scoreBreakdown.comments', '$scoreBreakdown.recency'] },
+          '$scoreBreakdown.affinity'
+        ]
+      }
+    }
+  }
+];
+
+// The viewer's own reaction type, or null
+const myReactionStages = (userId) => [
+  {
+    $lookup: {
+      from: Reaction.collection.name,
+      let: { postId: '$_id' },
+      pipeline: [
+        { $match: { $expr: { $eq: ['$post', '$$postId'] }, user: userId } },
+        { $project: { _id: 0, type: 1 } }
+      ],
+      as: 'myReaction'
+    }
+  },
+  { $addFields: { myReaction: { $ifNull: [{ $arrayElemAt: ['$myReaction.type', 0] }, null] } } }
+];
+
+// The latest few top-level comments, oldest first like the thread view.
+// Hidden comments, and those of suspended authors whose content was hidden,
+// are left out for everyone, moderators and authors included: the full
+// thread is where those are shown.
+const commentPreviewStage = (blockedUserIds) => ({
+  $lookup: {
+    from: Comment.collection.name,
+    let: { postId: '$_id' },
+    pipeline: [
+      {
+        $match: {
+          $expr: { $eq: ['$post', '$$postId'] },
+          parentId: null,
+          hiddenAt: null,
+          authorSuspended: { $ne: true },
+          author: { $nin: blockedUserIds }
+        }
+      },
+      { $sort: { createdAt: -1 } },
+      { $limit: COMMENT_PREVIEW_SIZE },
+      { $sort: { createdAt: 1 } }
+    ],
+    as: 'comments'
+  }
+});
+
+// Stages that compute the fields a sort mode orders by. Sorts on stored
+// fields need none, which keeps them ahead of $addFields and on an index.
+const sortStages = (sortBy, context) => {
+  switch (sortBy) {
+    case 'trending':
+      return trendingStages(context);
+    default:
+      return [];
+  }
+};
+
+const fetchSegment = ({ segment, sortBy, after, limit, debug, ...context }) => {
+  const sortSpec = SORT_SPECS[sortBy];
+  const since = new Date(context.asOf.getTime() - RECENT_WINDOW_MS);
+
+  const pipeline = [
+    {
+      $match: {
+        $and: [
+          { isPublished: true, author: { $nin: context.blockedUserIds } },
+          segmentMatch(segment, context.connectedUserIds, since)
+        ]
+      }
+    },
+    ...sortStages(sortBy, context)
+  ];
+  if (after) pipeline.push({ $match: keysetFilter(sortSpec, after) });
+  pipeline.push(
+    { $sort: sortSpec },
+    { $limit: limit },
+    ...myReactionStages(context.userId),
+    commentPreviewStage(context.blockedUserIds),
+    {
+      $project: {
+        ...FEED_CARD_EXCLUDE,
+        recentReactions: 0,
+        recentComments: 0,
+        ...(!debug && { scoreBreakdown: 0 })
+      }
+    }
+  );
+
+  return Post.aggregate(pipeline);
+};
+
+const isValidFeedCursor = (cursor, sortBy, connectedUserIds) => {
+  if (!cursor || cursor.sortBy !== sortBy) return false;
+  if (!(cursor.asOf instanceof Date)) return false;
+  if (!feedSegments(connectedUserIds).includes(cursor.segment)) return false;
+  return cursor.after === null || (
+    Array.isArray(cursor.after) && cursor.after.length === Object.keys(SORT_SPECS[sortBy]).length
+  );
+};
+
+// One page of the discover feed. Walks the segments in order until the page
+// is full, so a page can straddle the connections/rest boundary. The cursor
+// pins asOf so the 24h window and trending decay don't shift between pages.
+const getDiscoverFeed = async ({
+  userId, connectedUserIds, blockedUserIds = [], sortBy, cursor, limit, debug = false
+}) => {
+  const segments = feedSegments(connectedUserIds);
+  const sortSpec = SORT_SPECS[sortBy];
+  const asOf = cursor ? cursor.asOf : new Date();
+  const affinityUserIds = connectedUserIds.filter(id => !id.equals(userId));
+
+  let segmentIndex = cursor ? segments.indexOf(cursor.segment) : 0;
+  let after = cursor ? cursor.after : null;
+  let nextCursor = null;
+  const posts = [];
+
+  while (segmentIndex < segments.length) {
+    const segment = segments[segmentIndex];
+    const remaining = limit - posts.length;
+    const batch = await fetchSegment({
+      segment, sortBy, after, debug, limit: remaining + 1,
+      userId, connectedUserIds, blockedUserIds, affinityUserIds, asOf
+    });
+
+    const page = batch.slice(0, remaining);
+    posts.push(...page);
+
+    if (batch.length > remaining) {
+      const last = page[page.length - 1];
+      nextCursor = encodeCursor({ sortBy, asOf, segment, after: cursorValues(last, sortSpec) });
+      break;
+    }
+
+    segmentIndex++;
+    after = null;
+
+    if (posts.length === limit) {
+      if (segmentIndex < segments.length) {
+        nextCursor = encodeCursor({ sortBy, asOf, segment: segments[segmentIndex], after: null });
+      }
+      break;
+    }
+  }
+
+  // trendingScore is part of the cursor but only worth showing when tuning
+  if (!debug) posts.forEach(post => delete post.trendingScore);
+
+  await Post.populate(posts, [
+    { path: 'author', select: 'firstName lastName avatar' },
+    { path: 'comments.author', select: 'firstName lastName', model: 'User' }
+  ]);
+
+  return { posts, nextCursor, since: new Date(asOf.getTime() - RECENT_WINDOW_MS) };
+};
+
+module.exports = { FEED_SORTS, FEED_CARD_EXCLUDE, COMMENT_PREVIEW_SIZE, isValidFeedCursor, getDiscoverFeed };
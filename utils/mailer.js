@@ -0,0 +1,180 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// A transport is anything with send({ to, subject, text, html }) returning a
+// promise. setTransport plugs one in (SMTP, an email API, a test spy). The
+// built-in ones, picked with MAIL_TRANSPORT, are for development only: mail
+// carries sign-in tokens, and neither may leave them lying around in
+// production logs or files.
+
+// Log lines keep the link but not the secret in it
+const redactTokens = (text) => String(text || '').replace(/([?&]token=)[^\s&#]+/g, '$1[redacted]');
+
+const consoleTransport = {
+  send: async (message) => {
+    console.log('📧 Email to %s: %s\n%s', message.to, message.subject, redactTokens(message.text));
+  }
+};
+
+// Writes each message to MAIL_OUTBOX_DIR as JSON, handy for local
+// development and tests that need to click the link
+const fileTransport = (directory = process.env.MAIL_OUTBOX_DIR || 'mail-outbox') => ({
+  send: async (message) => {
+    await fs.mkdir(directory, { recursive: true });
+    const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+    await fs.writeFile(
+      path.join(directory, fileName),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+  }
+});
+
+const defaultTransport = () => {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('No mail transport configured; call setTransport with a real one in production');
+  }
+  switch (process.env.MAIL_TRANSPORT) {
+    case 'file':
+      return fileTransport();
+    default:
+      return consoleTransport;
+  }
+};
+
+let transport = null;
+
+const setTransport = (nextTransport) => {
+  transport = nextTransport;
+};
+
+const sendMail = async (message) => {
+  if (!transport) transport = defaultTransport();
+  return transport.send({
+    from: process.env.MAIL_FROM || 'Community Blog <no-reply@localhost>',
+    ...message
+  });
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const clientLink = (pathname, token) =>
+  `${process.env.CLIENT_URL}${pathname}?token=${encodeURIComponent(token)}`;
+
+const sendVerificationEmail = (user, token) => {
+  const link = clientLink('/verify-email', token);
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.firstName},\n\nConfirm your email address by opening this link within 24 hours:\n${link}\n`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>Confirm your email address by opening <a href="${escapeHtml(link)}">this link</a> within 24 hours.</p>`
+  });
+};
+
+const sendPasswordResetEmail = (user, token) => {
+  const link = clientLink('/reset-password', token);
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.firstName},\n\nReset your password by opening this link within 1 hour:\n${link}\n\nIf you didn't ask for this, you can ignore this email.\n`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>Reset your password by opening <a href="${escapeHtml(link)}">this link</a> within 1 hour.</p><p>If you didn't ask for this, you can ignore this email.</p>`
+  });
+};
+
+const sendEmailChangeEmail = (user, newEmail, token) => {
+  const link = clientLink('/confirm-email-change', token);
+  return sendMail({
+    to: newEmail,
+    subject: 'Confirm your new email address',
+    text: `Hi ${user.firstName},\n\nConfirm that you want to use this address for your account by opening this link within 24 hours:\n${link}\n\nUntil then, your old address stays in use.\n`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>Confirm that you want to use this address for your account by opening <a href="${escapeHtml(link)}">this link</a> within 24 hours.</p><p>Until then, your old address stays in use.</p>`
+  });
+};
+
+// Goes to the old address, so a hijacked account doesn't change hands quietly
+const sendEmailChangedNotice = (user, oldEmail) => sendMail({
+  to: oldEmail,
+  subject: 'Your email address was changed',
+  text: `Hi ${user.firstName},\n\nThe email address on your account was changed to ${user.email}. If you didn't do this, reset your password and contact support.\n`,
+  html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>The email address on your account was changed to ${escapeHtml(user.email)}. If you didn't do this, reset your password and contact support.</p>`
+});
+
+const sendAccountDeletionEmail = (user) => {
+  const when = user.deletionScheduledAt.toDateString();
+  return sendMail({
+    to: user.email,
+    subject: 'Your account is scheduled for deletion',
+    text: `Hi ${user.firstName},\n\nYour account and everything in it will be permanently deleted on ${when}. Log in before then to cancel.\n`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>Your account and everything in it will be permanently deleted on ${escapeHtml(when)}. Log in before then to cancel.</p>`
+  });
+};
+
+const ACCOUNT_ACTIONS = {
+  set_password: { what: 'set a password for your account', path: '/settings/account/confirm-password' },
+  change_email: { what: 'change the email address on your account', path: '/settings/account/confirm-email' },
+  deactivate: { what: 'deactivate your account', path: '/settings/account/confirm-deactivation' },
+  delete: { what: 'delete your account', path: '/settings/account/confirm-deletion' }
+};
+
+// Accounts without a password confirm risky changes from their inbox instead
+const sendAccountActionEmail = (user, action, token) => {
+  const { what, path } = ACCOUNT_ACTIONS[action];
+  const link = clientLink(path, token);
+  return sendMail({
+    to: user.email,
+    subject: 'Confirm a change to your account',
+    text: `Hi ${user.firstName},\n\nSomeone asked to ${what}. If it was you, confirm by opening this link within 1 hour:\n${link}\n\nIf it wasn't, log out all your sessions: someone else may be signed in as you.\n`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>Someone asked to ${what}. If it was you, confirm by opening <a href="${escapeHtml(link)}">this link</a> within 1 hour.</p><p>If it wasn't, log out all your sessions: someone else may be signed in as you.</p>`
+  });
+};
+
+const TARGET_DESCRIPTIONS = {
+  post: 'one of your posts',
+  comment: 'one of your comments',
+  user: 'your account'
+};
+
+// `note` is the moderator's explanation, shown to the user verbatim
+const sendModerationWarningEmail = (user, targetType, note) => {
+  const what = TARGET_DESCRIPTIONS[targetType];
+  const explanation = note ? `\n\nThe moderator's note:\n${note}` : '';
+  return sendMail({
+    to: user.email,
+    subject: 'A warning about your account',
+    text: `Hi ${user.firstName},\n\nOur moderators reviewed reports about ${what} and found it breaks the community rules.${explanation}\n\nRepeated problems can lead to your account being suspended.\n`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>Our moderators reviewed reports about ${what} and found it breaks the community rules.</p>${note ? `<p>The moderator's note:</p><blockquote>${escapeHtml(note)}</blockquote>` : ''}<p>Repeated problems can lead to your account being suspended.</p>`
+  });
+};
+
+const sendSuspensionEmail = (user) => {
+  const { until, reason } = user.suspension;
+  const what = until
+    ? `Your account has been suspended until ${until.toUTCString()}.`
+    : 'Your account has been permanently banned.';
+  const why = reason ? `\n\nReason given:\n${reason}` : '';
+  return sendMail({
+    to: user.email,
+    subject: until ? 'Your account has been suspended' : 'Your account has been banned',
+    text: `Hi ${user.firstName},\n\n${what} You won't be able to log in${until ? ' until then' : ''}.${why}\n`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>${escapeHtml(what)} You won't be able to log in${until ? ' until then' : ''}.</p>${reason ? `<p>Reason given:</p><blockquote>${escapeHtml(reason)}</blockquote>` : ''}`
+  });
+};
+
+module.exports = {
+  consoleTransport,
+  fileTransport,
+  setTransport,
+  sendMail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendEmailChangeEmail,
+  sendEmailChangedNotice,
+  sendAccountDeletionEmail,
+  sendAccountActionEmail,
+  sendModerationWarningEmail,
+  sendSuspensionEmail
+};
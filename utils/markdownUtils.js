@@ -0,0 +1,79 @@
+const MarkdownIt = require('markdown-it');
+const sanitizeHtml = require('sanitize-html');
+const { normalizeName } = require('./searchUtils');
+
+const EXCERPT_LENGTH = 200;
+const WORDS_PER_MINUTE = 200;
+const SLUG_MAX_LENGTH = 80;
+
+// Raw HTML in the source is shown as text rather than passed through; the
+// sanitizer below is the real safety net for whatever Markdown produces.
+const markdown = new MarkdownIt({ html: false, linkify: true, breaks: true });
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'blockquote',
+    'ul', 'ol', 'li', 'strong', 'em', 's', 'code', 'pre', 'a', 'img',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title'],
+    img: ['src', 'alt', 'title'],
+    code: ['class'],
+    th: ['style'],
+    td: ['style']
+  },
+  allowedClasses: {
+    code: [/^language-[\w-]+$/]
+  },
+  allowedStyles: {
+    '*': { 'text-align': [/^(left|right|center)$/] }
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https'] },
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'nofollow noopener noreferrer', target: '_blank' })
+  }
+};
+// simpleTransform adds these after filtering, so let them through
+SANITIZE_OPTIONS.allowedAttributes.a.push('rel', 'target');
+
+const renderMarkdown = (source) => sanitizeHtml(markdown.render(source || ''), SANITIZE_OPTIONS);
+
+// The words a reader actually sees: Markdown syntax, link targets and image
+// URLs dropped, block boundaries turned into spaces
+const toPlainText = (source) => {
+  const words = [];
+  const collect = (tokens) => tokens.forEach(token => {
+    if (token.children) {
+      collect(token.children);
+    } else if (['text', 'code_inline', 'code_block', 'fence'].includes(token.type)) {
+      words.push(token.content);
+    } else if (['softbreak', 'hardbreak'].includes(token.type) || token.block) {
+      words.push(' ');
+    }
+  });
+  collect(markdown.parse(source || '', {}));
+
+  return words.join('').replace(/\s+/g, ' ').trim();
+};
+
+// Cut at a word boundary so cards never end mid-word
+const buildExcerpt = (text, length = EXCERPT_LENGTH) => {
+  if (text.length <= length) return text;
+  const cut = text.slice(0, length + 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${cut.slice(0, lastSpace > 0 ? lastSpace : length).replace(/[\s.,;:!?-]+$/, '')}…`;
+};
+
+const readTimeMinutes = (text) => {
+  const wordCount = text ? text.split(/\s+/).length : 0;
+  return Math.max(1, Math.ceil(wordCount / WORDS_PER_MINUTE));
+};
+
+const slugify = (value) => normalizeName(value)
+  .replace(/[^a-z0-9]+/g, '-')
+  .slice(0, SLUG_MAX_LENGTH)
+  .replace(/^-+|-+$/g, '');
+
+module.exports = { renderMarkdown, toPlainText, buildExcerpt, readTimeMinutes, slugify };
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const multer = require('multer');
+const sharp = require('sharp');
+const { getStorage } = require('./storage');
+
+const MAX_UPLOAD_BYTES = parseInt(process.env.UPLOAD_MAX_BYTES) || 5 * 1024 * 1024;
+const MAX_POST_ATTACHMENTS = parseInt(process.env.POST_MAX_ATTACHMENTS) || 4;
+
+const IMAGE_MAX_DIMENSION = 2048;
+const THUMBNAIL_SIZE = 400;
+const AVATAR_SIZE = 512;
+const AVATAR_THUMBNAIL_SIZE = 96;
+
+// Magic numbers of the formats we accept. The client's Content-Type and file
+// name are ignored; only the bytes decide what a file is.
+const SIGNATURES = [
+  { mimeType: 'image/jpeg', extension: 'jpg', format: 'jpeg', matches: b => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mimeType: 'image/png', extension: 'png', format: 'png', matches: b => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: 'image/gif', extension: 'gif', format: 'gif', matches: b => ['GIF87a', 'GIF89a'].includes(b.toString('ascii', 0, 6)) },
+  { mimeType: 'image/webp', extension: 'webp', format: 'webp', matches: b => b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' }
+];
+
+const ALLOWED_IMAGE_TYPES = SIGNATURES.map(signature => signature.mimeType);
+
+const sniffImageType = (buffer) =>
+  (buffer && buffer.length >= 12 && SIGNATURES.find(signature => signature.matches(buffer))) || null;
+
+// Multipart parsing into memory, with multer's limit errors turned into the
+// usual { error } responses
+const uploadImages = (field, maxCount) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_UPLOAD_BYTES, files: maxCount }
+  });
+  const handler = maxCount === 1 ? upload.single(field) : upload.array(field, maxCount);
+
+  return (req, res, next) => handler(req, res, (error) => {
+    if (!error) return next();
+    if (error instanceof multer.MulterError) {
+      const messages = {
+        LIMIT_FILE_SIZE: `Files must be at most ${Math.floor(MAX_UPLOAD_BYTES / (1024 * 1024))} MB`,
+        LIMIT_FILE_COUNT: `At most ${maxCount} file(s) per upload`,
+        LIMIT_UNEXPECTED_FILE: `Files must be sent in the "${field}" field`
+      };
+      return res.status(400).json({ error: messages[error.code] || error.message });
+    }
+    next(error);
+  });
+};
+
+const randomName = () => crypto.randomBytes(12).toString('hex');
+
+const decodes = async (buffer) => {
+  try {
+    await sharp(buffer).metadata();
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Stores a post image: the original re-encoded (which also strips EXIF data
+// such as GPS position) and capped in size, plus a WebP thumbnail. Resolves
+// to null if the bytes aren't an image we can read.
+const storePostImage = async (buffer, postId) => {
+  const type = sniffImageType(buffer);
+  if (!type || !(await decodes(buffer))) return null;
+
+  const storage = getStorage();
+  const name = randomName();
+  const animated = type.format === 'gif' || type.format === 'webp';
+
+  const { data, info } = await sharp(buffer, { animated })
+    .rotate()
+    .resize({ width: IMAGE_MAX_DIMENSION, height: IMAGE_MAX_DIMENSION, fit: 'inside', withoutEnlargement: true })
+    .toFormat(type.format)
+    .toBuffer({ resolveWithObject: true });
+  const thumbnail = await sharp(buffer)
+    .rotate()
+    .resize({ width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, fit: 'inside', withoutEnlargement: true })
+    .webp()
+    .toBuffer();
+
+  const key = `posts/${postId}/${name}.${type.extension}`;
+  const thumbnailKey = `posts/${postId}/${name}-thumb.webp`;
+  await storage.save(key, data, type.mimeType);
+  await storage.save(thumbnailKey, thumbnail, 'image/webp');
+
+  return {
+    key,
+    url: storage.url(key),
+    thumbnailKey,
+    thumbnailUrl: storage.url(thumbnailKey),
+    mimeType: type.mimeType,
+    size: data.length,
+    width: info.width,
+    height: info.pageHeight || info.height
+  };
+};
+
+// Avatars are cropped square and always stored as WebP
+const storeAvatar = async (buffer, userId) => {
+  const type = sniffImageType(buffer);
+  if (!type || !(await decodes(buffer))) return null;
+
+  const storage = getStorage();
+  const name = randomName();
+  const square = (size) => sharp(buffer)
+    .rotate()
+    .resize(size, size, { fit: 'cover' })
+    .webp()
+    .toBuffer();
+
+  const key = `avatars/${userId}/${name}.webp`;
+  const thumbnailKey = `avatars/${userId}/${name}-thumb.webp`;
+  await storage.save(key, await square(AVATAR_SIZE), 'image/webp');
+  await storage.save(thumbnailKey, await square(AVATAR_THUMBNAIL_SIZE), 'image/webp');
+
+  return {
+    key,
+    url: storage.url(key),
+    thumbnailKey,
+    thumbnailUrl: storage.url(thumbnailKey)
+  };
+};
+
+// Every storage key a stored image occupies
+const imageKeys = (image) => (image ? [image.key, image.thumbnailKey] : []);
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  MAX_POST_ATTACHMENTS,
+  ALLOWED_IMAGE_TYPES,
+  sniffImageType,
+  uploadImages,
+  storePostImage,
+  storeAvatar,
+  imageKeys
+};
@@ -0,0 +1,19 @@
+// Hiding works the same way for posts and comments: the document keeps its
+// content and counters, and the hidden* fields take it out of circulation.
+// For posts, the pre-save hook turns isPublished off with it.
+
+const hideContent = async (doc, moderatorId, reason = null) => {
+  doc.hiddenAt = new Date();
+  doc.hiddenBy = moderatorId;
+  doc.hiddenReason = reason || null;
+  await doc.save();
+};
+
+const unhideContent = async (doc) => {
+  doc.hiddenAt = null;
+  doc.hiddenBy = null;
+  doc.hiddenReason = null;
+  await doc.save();
+};
+
+module.exports = { hideContent, unhideContent };
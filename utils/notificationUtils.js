@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/notification');
+const User = require('../models/user');
+const { hasBlocked } = require('./connectionUtils');
+const { publishToUser } = require('./realtimeUtils');
+
+// Repeated events on the same target collapse into one unread notification.
+// New followers have no target beyond the recipient, so they share one.
+const GROUP_KEYS = {
+  reaction: 'post',
+  comment: 'post',
+  reply: 'comment',
+  follow: 'recipient'
+};
+
+const SUMMARY_VERBS = {
+  connection_request: 'sent you a connection request',
+  connection_accepted: 'accepted your connection request',
+  reaction: 'reacted to your post',
+  comment: 'commented on your post',
+  reply: 'replied to your comment',
+  mention: 'mentioned you',
+  follow: 'started following you'
+};
+
+// Mentions are written as @[Display Name](userId) by the client
+const MENTION_PATTERN = /@\[[^\]\n]{1,100}\]\(([a-f\d]{24})\)/gi;
+
+const extractMentions = (text) => {
+  if (!text) return [];
+  const ids = new Set();
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    ids.add(match[1].toLowerCase());
+  }
+  return [...ids].map(id => new mongoose.Types.ObjectId(id));
+};
+
+const recordNotification = async ({ recipient, actor, type, post, comment, connection }) => {
+  const groupKey = GROUP_KEYS[type];
+
+  if (groupKey) {
+    const target = { post, comment, recipient }[groupKey];
+    const group = await Notification.findOne({
+      recipient,
+      type,
+      [groupKey]: target,
+      readAt: null
+    });
+
+    if (group) {
+      // Move the actor to the end so the summary names whoever acted last
+      group.actors = group.actors.filter(id => !id.equals(actor));
+      group.actors.push(actor);
+      if (post) group.post = post;
+      if (comment) group.comment = comment;
+      return group.save();
+    }
+  }
+
+  return Notification.create({ recipient, type, actors: [actor], post, comment, connection });
+};
+
+// Records a notification unless it would go to the actor themselves, the
+// recipient has muted the type, or the recipient has blocked the actor.
+// Failures are logged rather than thrown so they never break the action
+// that triggered them.
+const notify = async ({ recipient, actor, type, post, comment, connection }) => {
+  try {
+    if (!recipient || recipient.equals(actor)) return null;
+
+    const user = await User.findById(recipient).select('mutedNotificationTypes');
+    if (!user || user.mutedNotificationTypes.includes(type)) return null;
+    if (await hasBlocked(recipient, actor)) return null;
+
+    const notification = await recordNotification({ recipient, actor, type, post, comment, connection });
+    const unreadCount = await Notification.countDocuments({ recipient, readAt: null });
+    await publishToUser(recipient, 'notification', {
+      notificationId: notification._id,
+      type,
+      unreadCount
+    });
+    return notification;
+  } catch (error) {
+    console.error(`Notify ${type} error:`, error);
+    return null;
+  }
+};
+
+const notifyMentions = async ({ text, actor, post, comment, exclude = [] }) => {
+  const recipients = extractMentions(text)
+    .filter(id => !exclude.some(excluded => excluded.equals(id)));
+
+  for (const recipient of recipients) {
+    await notify({ recipient, actor, type: 'mention', post, comment });
+  }
+};
+
+// "Alice Smith and 4 others reacted to your post"
+const summarize = (notification) => {
+  const actors = notification.actors || [];
+  const latest = actors[actors.length - 1];
+  const name = latest && latest.firstName
+    ? `${latest.firstName} ${latest.lastName}`
+    : 'Someone';
+  const others = actors.length - 1;
+
+  let who = name;
+  if (others === 1) who = `${name} and 1 other`;
+  if (others > 1) who = `${name} and ${others} others`;
+
+  return `${who} ${SUMMARY_VERBS[notification.type]}`;
+};
+
+module.exports = { extractMentions, notify, notifyMentions, summarize };
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const STATE_LIFETIME = 10 * 60; // seconds
+const STATE_COOKIE = 'oauth_state';
+const STATE_COOKIE_PATH = '/api/auth/google';
+
+// Client paths a sign-in may land on afterwards. A path is allowed when it is
+// one of these or lies beneath one; OAUTH_RETURN_PATHS (comma-separated)
+// replaces the defaults.
+const RETURN_TO_ALLOWLIST = (process.env.OAUTH_RETURN_PATHS || '/feed,/posts,/users,/notifications,/settings')
+  .split(',')
+  .map(entry => entry.trim().replace(/\/+$/, ''))
+  .filter(Boolean);
+
+// The requested path if it is a plain same-origin path on the allowlist,
+// otherwise null. Protocol-relative ("//evil.com") and backslash tricks
+// are rejected outright.
+const safeReturnTo = (value) => {
+  if (typeof value !== 'string' || value.length > 500) return null;
+  if (!value.startsWith('/') || value.startsWith('//') || /[\\\s]/.test(value)) return null;
+
+  const pathname = value.split(/[?#]/)[0];
+  if (pathname.split('/').includes('..')) return null;
+
+  const allowed = RETURN_TO_ALLOWLIST.some(entry => pathname === entry || pathname.startsWith(`${entry}/`));
+  return allowed ? value : null;
+};
+
+const stateSecret = () => process.env.JWT_ACTION_SECRET || process.env.JWT_SECRET;
+
+const readCookie = (req, name) => {
+  const header = req.headers.cookie;
+  if (!header) return null;
+
+  const pair = header.split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${name}=`));
+  return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null;
+};
+
+const cookieOptions = () => ({
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  path: STATE_COOKIE_PATH
+});
+
+// Starts a Google round trip. The returned state is signed, so it can carry
+// returnTo and a link token through Google untouched; the nonce inside it is
+// also set as a cookie, which ties the callback to the browser that started
+// the flow.
+const createOAuthState = (res, { returnTo = null, link = null } = {}) => {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  res.cookie(STATE_COOKIE, nonce, { ...cookieOptions(), maxAge: STATE_LIFETIME * 1000 });
+
+  return jwt.sign(
+    { purpose: 'oauth_state', nonce, returnTo, link },
+    stateSecret(),
+    { expiresIn: STATE_LIFETIME }
+  );
+};
+
+// Resolves the callback's state to what createOAuthState stored in it, or
+// null if it is missing, forged, expired or from another browser. The
+// cookie is cleared either way: a state is good for one callback.
+const verifyOAuthState = (req, res) => {
+  const nonce = readCookie(req, STATE_COOKIE);
+  res.clearCookie(STATE_COOKIE, cookieOptions());
+
+  if (!nonce || typeof req.query.state !== 'string') return null;
+
+  let payload;
+  try {
+    payload = jwt.verify(req.query.state, stateSecret());
+  } catch (error) {
+    return null;
+  }
+
+  if (payload.purpose !== 'oauth_state' || typeof payload.nonce !== 'string') return null;
+
+  const expected = Buffer.from(payload.nonce);
+  const actual = Buffer.from(nonce);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  return payload;
+};
+
+module.exports = {
+  RETURN_TO_ALLOWLIST,
+  safeReturnTo,
+  createOAuthState,
+  verifyOAuthState
+};
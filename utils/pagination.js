@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// Dates and ObjectIds don't survive JSON.stringify, so they are tagged
+// before encoding and revived when the cursor comes back.
+const pack = (value) => {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { $oid: value.toString() };
+  if (Array.isArray(value)) return value.map(pack);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, val]) => [key, pack(val)]));
+  }
+  return value;
+};
+
+const unpack = (value) => {
+  if (Array.isArray(value)) return value.map(unpack);
+  if (value && typeof value === 'object') {
+    if (typeof value.$date === 'string') {
+      const date = new Date(value.$date);
+      if (isNaN(date.getTime())) throw new Error('Invalid date in cursor');
+      return date;
+    }
+    if (typeof value.$oid === 'string') {
+      if (!mongoose.isValidObjectId(value.$oid)) throw new Error('Invalid id in cursor');
+      return new mongoose.Types.ObjectId(value.$oid);
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, val]) => [key, unpack(val)]));
+  }
+  return value;
+};
+
+const encodeCursor = (payload) => {
+  return Buffer.from(JSON.stringify(pack(payload))).toString('base64url');
+};
+
+// Returns null for anything that isn't a cursor we issued
+const decodeCursor = (cursor) => {
+  if (!cursor || typeof cursor !== 'string') return null;
+  try {
+    const payload = unpack(JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8')));
+    return payload && typeof payload === 'object' && !Array.isArray(payload) ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const parseLimit = (raw, defaultLimit = 20, maxLimit = 50) => {
+  const limit = parseInt(raw);
+  if (isNaN(limit) || limit < 1) return defaultLimit;
+  return Math.min(limit, maxLimit);
+};
+
+// Values of the sort keys for a document, in sort order
+const cursorValues = (doc, sortSpec) => Object.keys(sortSpec).map(key => doc[key]);
+
+// Builds the "strictly after this row" filter for a compound sort, e.g.
+// { likesCount: -1, _id: -1 } -> likesCount < v0 OR (likesCount == v0 AND _id < v1)
+const keysetFilter = (sortSpec, values) => {
+  const keys = Object.keys(sortSpec);
+  if (!Array.isArray(values) || values.length !== keys.length) {
+    throw new Error('Cursor does not match sort order');
+  }
+
+  const branches = keys.map((key, index) => {
+    const branch = {};
+    for (let i = 0; i < index; i++) {
+      branch[keys[i]] = values[i];
+    }
+    branch[key] = { [sortSpec[key] < 0 ? '$lt' : '$gt']: values[index] };
+    return branch;
+  });
+
+  return { $or: branches };
+};
+
+module.exports = { encodeCursor, decodeCursor, parseLimit, cursorValues, keysetFilter };
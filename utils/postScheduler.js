@@ -0,0 +1,55 @@
+const Post = require('../models/post');
+const { announcePost } = require('./postUtils');
+
+const DEFAULT_INTERVAL_MS = 30 * 1000;
+
+let timer = null;
+
+// Publishes every scheduled post whose time has come. Each post is claimed
+// with its own findOneAndUpdate, so several API processes can run this side
+// by side without publishing anything twice.
+const publishDuePosts = async () => {
+  let published = 0;
+
+  for (;;) {
+    const now = new Date();
+    const post = await Post.findOneAndUpdate(
+      { status: 'scheduled', publishAt: { $lte: now }, authorDeactivated: { $ne: true }, authorSuspended: { $ne: true }, hiddenAt: null },
+      {
+        $set: { status: 'published', isPublished: true, publishedAt: now, publishAt: null }
+      },
+      { new: true, sort: { publishAt: 1 } }
+    );
+    if (!post) break;
+
+    await announcePost(post);
+    published++;
+  }
+
+  return published;
+};
+
+const startPostScheduler = (intervalMs = parseInt(process.env.POST_SCHEDULER_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  if (timer) return;
+
+  const tick = () => {
+    publishDuePosts()
+      .then(count => {
+        if (count > 0) console.log(`🕒 Published ${count} scheduled post(s)`);
+      })
+      .catch(error => console.error('Post scheduler error:', error));
+  };
+
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+  tick();
+};
+
+const stopPostScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = { publishDuePosts, startPostScheduler, stopPostScheduler };
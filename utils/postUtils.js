@@ -0,0 +1,123 @@
+const Post = require('../models/post');
+const Comment = require('../models/comment');
+const Reaction = require('../models/reaction');
+const Notification = require('../models/notification');
+const PostRevision = require('../models/postRevision');
+const { notifyMentions, extractMentions } = require('./notificationUtils');
+const { publishNewPost } = require('./realtimeUtils');
+const { imageKeys } = require('./mediaUtils');
+const { removeFiles } = require('./storage');
+const { hasBlocked, getBlockedUserIds } = require('./connectionUtils');
+const { hasPermission } = require('../config/roles');
+
+// isPublished as an update-pipeline expression, matching the pre-save hook in
+// models/post.js. Bulk updates that flip a flag it depends on recompute it
+// with this in a following $set stage.
+const PUBLISHED_EXPRESSION = {
+  $and: [
+    { $eq: ['$status', 'published'] },
+    { $not: ['$authorDeactivated'] },
+    { $not: ['$authorSuspended'] },
+    { $not: ['$hiddenAt'] }
+  ]
+};
+
+// A post is visible when it is published and not hidden, by a moderator or
+// with its suspended author, and always to its author and to moderators. Its
+// comments, reactions and live counts follow the post. isPublished already
+// accounts for hiding; checking the flags too keeps a stale isPublished from
+// letting hidden content through.
+const canViewPost = (post, user) => {
+  if (!post) return false;
+  if (post.isPublished && !post.hiddenAt && !post.authorSuspended) return true;
+  if (!user) return false;
+
+  const authorId = post.author && post.author._id ? post.author._id : post.author;
+  return authorId.equals(user._id) || hasPermission(user, 'content:moderate');
+};
+
+// Loads a post for the routes that hang off it (comments, reactions, likes)
+// with the given fields, or resolves to null when the user may not see it or
+// its author has blocked them
+const findVisiblePost = async (postId, user, select = 'author') => {
+  const fields = new Set(['author', 'isPublished', 'hiddenAt', 'authorSuspended', ...select.split(/\s+/).filter(Boolean)]);
+  const post = await Post.findById(postId).select([...fields].join(' '));
+  if (!canViewPost(post, user)) return null;
+  if (user && await hasBlocked(post.author, user._id)) return null;
+  return post;
+};
+
+// The IDs among postIds of posts the user may see, checked in bulk (live
+// count subscriptions). Blocks hide posts in both directions, as in feeds.
+const filterVisiblePostIds = async (postIds, user) => {
+  if (postIds.length === 0) return [];
+
+  const [posts, blockedIds] = await Promise.all([
+    Post.find({ _id: { $in: postIds } }).select('author isPublished hiddenAt authorSuspended').lean(),
+    getBlockedUserIds(user._id)
+  ]);
+  const blocked = new Set(blockedIds.map(String));
+
+  return posts
+    .filter(post => canViewPost(post, user) && !blocked.has(String(post.author)))
+    .map(post => String(post._id));
+};
+
+// Works out the status a create/update request asks for. `status` wins; a
+// bare publishAt means "schedule it"; the older isPublished flag still maps
+// onto published/draft. Returns { error } when the combination is invalid.
+// On update, a post that stays scheduled keeps currentPublishAt unless the
+// request moves it.
+const resolveLifecycle = ({ status, publishAt, isPublished }, currentStatus, currentPublishAt = null) => {
+  let nextStatus = currentStatus;
+  if (status) {
+    nextStatus = status;
+  } else if (publishAt) {
+    nextStatus = 'scheduled';
+  } else if (isPublished !== undefined) {
+    nextStatus = isPublished ? 'published' : 'draft';
+  }
+
+  if (nextStatus !== 'scheduled') {
+    return { status: nextStatus, publishAt: null };
+  }
+
+  const when = publishAt ? new Date(publishAt) : currentPublishAt;
+  if (!when || isNaN(when.getTime())) {
+    return { error: 'publishAt is required to schedule a post' };
+  }
+  // The stored date may already have passed if the scheduler hasn't got to
+  // the post yet; that's no reason to refuse an edit
+  const unchanged = !!currentPublishAt && when.getTime() === currentPublishAt.getTime();
+  if (!unchanged && when <= new Date()) {
+    return { error: 'publishAt must be in the future' };
+  }
+  return { status: nextStatus, publishAt: when };
+};
+
+// Side effects of a post going live: mentions and the realtime fan-out.
+// Mentions already notified for an earlier published version are skipped.
+const announcePost = async (post, { previousContent = null } = {}) => {
+  const alreadyMentioned = previousContent ? extractMentions(previousContent) : [];
+  await notifyMentions({
+    text: post.content,
+    actor: post.author._id || post.author,
+    post: post._id,
+    exclude: alreadyMentioned
+  });
+  if (!previousContent) {
+    await publishNewPost(post);
+  }
+};
+
+// Removes a post with everything that hangs off it, stored files included
+const deletePostData = async (post) => {
+  await Post.deleteOne({ _id: post._id });
+  await Comment.deleteMany({ post: post._id });
+  await Reaction.deleteMany({ post: post._id });
+  await PostRevision.deleteMany({ post: post._id });
+  await Notification.deleteMany({ post: post._id });
+  await removeFiles((post.attachments || []).flatMap(imageKeys));
+};
+
+module.exports = { PUBLISHED_EXPRESSION, canViewPost, findVisiblePost, filterVisiblePostIds, resolveLifecycle, announcePost, deletePostData };
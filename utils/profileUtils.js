@@ -0,0 +1,75 @@
+const User = require('../models/user');
+const Connection = require('../models/connection');
+
+const RESTRICTED_FIELDS = Object.keys(User.PRIVACY_DEFAULTS);
+
+// Everything a profile page may show; visibility is applied afterwards
+const PROFILE_SELECT = [
+  'firstName', 'lastName', 'avatar', 'createdAt', 'isVerified',
+  'email', 'headline', 'bio', 'location', 'website', 'socialLinks', 'skills', 'privacy'
+].join(' ');
+
+// What listings (search, connections, requests) show about a person
+const CARD_SELECT = 'firstName lastName avatar headline privacy.headline';
+
+const LEVELS_BY_RELATION = {
+  self: ['public', 'connections', 'private'],
+  connection: ['public', 'connections'],
+  public: ['public']
+};
+
+// How the viewer relates to the profile owner: 'self', 'connection' or
+// 'public'. Anonymous viewers are always 'public'.
+const getRelation = async (ownerId, viewerId) => {
+  if (!viewerId) return 'public';
+  if (viewerId.equals(ownerId)) return 'self';
+
+  const connected = await Connection.exists({
+    $or: [
+      { requester: viewerId, recipient: ownerId, status: 'accepted' },
+      { requester: ownerId, recipient: viewerId, status: 'accepted' }
+    ]
+  });
+  return connected ? 'connection' : 'public';
+};
+
+const canSee = (user, field, relation) => {
+  const level = (user.privacy && user.privacy[field]) || User.PRIVACY_DEFAULTS[field];
+  return LEVELS_BY_RELATION[relation].includes(level);
+};
+
+// A plain copy of the user with every field the viewer may not see removed.
+// The privacy settings themselves are only shown to their owner.
+const applyVisibility = (user, relation) => {
+  const profile = typeof user.toObject === 'function' ? user.toObject() : { ...user };
+
+  RESTRICTED_FIELDS
+    .filter(field => !canSee(user, field, relation))
+    .forEach(field => { delete profile[field]; });
+  if (relation !== 'self') delete profile.privacy;
+
+  return profile;
+};
+
+// The short form used in listings; expects a user loaded with CARD_SELECT
+const toCard = (user, relation) => {
+  if (!user) return user;
+  const card = applyVisibility(user, relation);
+  return {
+    _id: card._id,
+    firstName: card.firstName,
+    lastName: card.lastName,
+    avatar: card.avatar || null,
+    ...(card.headline && { headline: card.headline })
+  };
+};
+
+module.exports = {
+  RESTRICTED_FIELDS,
+  PROFILE_SELECT,
+  CARD_SELECT,
+  getRelation,
+  canSee,
+  applyVisibility,
+  toCard
+};
@@ -0,0 +1,49 @@
+const { EventEmitter } = require('events');
+
+// In-process broker. Anything with the same shape (Redis pub/sub, NATS, ...)
+// can replace it through setBroker once the API runs on more than one node:
+//   publish(channel, message) -> may return a promise
+//   subscribe(channel, handler) -> returns an unsubscribe function
+const createMemoryBroker = () => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  return {
+    publish: (channel, message) => {
+      emitter.emit(channel, message);
+    },
+    subscribe: (channel, handler) => {
+      emitter.on(channel, handler);
+      return () => emitter.off(channel, handler);
+    }
+  };
+};
+
+let broker = createMemoryBroker();
+
+const setBroker = (nextBroker) => {
+  broker = nextBroker;
+};
+
+const userChannel = (userId) => `user:${userId}`;
+const postChannel = (postId) => `post:${postId}`;
+
+// Publishing is best effort: a broker hiccup is logged, never thrown
+const publish = async (channel, event, data) => {
+  try {
+    await broker.publish(channel, { event, data, at: new Date().toISOString() });
+  } catch (error) {
+    console.error(`Publish ${event} to ${channel} error:`, error);
+  }
+};
+
+const subscribe = (channel, handler) => broker.subscribe(channel, handler);
+
+module.exports = {
+  createMemoryBroker,
+  setBroker,
+  userChannel,
+  postChannel,
+  publish,
+  subscribe
+};
@@ -0,0 +1,61 @@
+const Post = require('../models/post');
+const Reaction = require('../models/reaction');
+
+const applyCounterChanges = async (postId, inc) => {
+  if (Object.keys(inc).length === 0) {
+    return Post.findById(postId).select('reactionCounts reactionsCount');
+  }
+  return Post.findByIdAndUpdate(postId, { $inc: inc }, { new: true })
+    .select('reactionCounts reactionsCount');
+};
+
+// Resolves to the reaction as it was before, or null if it was just created
+const upsertReaction = async (postId, userId, type) => {
+  const filter = { post: postId, user: userId };
+  try {
+    return await Reaction.findOneAndUpdate(filter, { $set: { type } }, { upsert: true, new: false });
+  } catch (error) {
+    // Two first reactions raced and the other one created it; update that
+    if (error.code !== 11000) throw error;
+    return Reaction.findOneAndUpdate(filter, { $set: { type } }, { new: false });
+  }
+};
+
+// Sets userId's reaction on a post, replacing any earlier one, and keeps the
+// post's counters in step. Resolves to the previous type and the new counts.
+const setReaction = async (postId, userId, type) => {
+  const previous = await upsertReaction(postId, userId, type);
+
+  const inc = {};
+  if (!previous) {
+    inc.reactionsCount = 1;
+    inc[`reactionCounts.${type}`] = 1;
+  } else if (previous.type !== type) {
+    inc[`reactionCounts.${previous.type}`] = -1;
+    inc[`reactionCounts.${type}`] = 1;
+  }
+
+  const post = await applyCounterChanges(postId, inc);
+  return { previousType: previous ? previous.type : null, post };
+};
+
+// Removes userId's reaction, if any. Resolves to the removed type and the new counts.
+const removeReaction = async (postId, userId) => {
+  const removed = await Reaction.findOneAndDelete({ post: postId, user: userId });
+
+  const inc = {};
+  if (removed) {
+    inc.reactionsCount = -1;
+    inc[`reactionCounts.${removed.type}`] = -1;
+  }
+
+  const post = await applyCounterChanges(postId, inc);
+  return { removedType: removed ? removed.type : null, post };
+};
+
+const getMyReaction = async (postId, userId) => {
+  const reaction = await Reaction.findOne({ post: postId, user: userId }).select('type').lean();
+  return reaction ? reaction.type : null;
+};
+
+module.exports = { setReaction, removeReaction, getMyReaction };
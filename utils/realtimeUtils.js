@@ -0,0 +1,44 @@
+const Post = require('../models/post');
+const { getConnectedUserIds } = require('./connectionUtils');
+const { publish, userChannel, postChannel } = require('./pubsub');
+
+const publishToUser = (userId, event, data) => publish(userChannel(userId), event, data);
+
+// Current engagement counters, for clients that have the post on screen
+const publishPostCounts = async (postId) => {
+  try {
+    const post = await Post.findById(postId)
+      .select('reactionCounts reactionsCount commentsCount')
+      .lean();
+    if (!post) return;
+
+    await publish(postChannel(postId), 'post.counts', {
+      postId: post._id,
+      reactionCounts: post.reactionCounts,
+      reactionsCount: post.reactionsCount,
+      commentsCount: post.commentsCount
+    });
+  } catch (error) {
+    console.error('Publish post counts error:', error);
+  }
+};
+
+// Tells every connection of the author that a new post is out
+const publishNewPost = async (post) => {
+  try {
+    const authorId = post.author._id || post.author;
+    const connectedUserIds = await getConnectedUserIds(authorId);
+
+    await Promise.all(connectedUserIds.map(userId =>
+      publishToUser(userId, 'post.created', {
+        postId: post._id,
+        author: authorId,
+        publishedAt: post.publishedAt
+      })
+    ));
+  } catch (error) {
+    console.error('Publish new post error:', error);
+  }
+};
+
+module.exports = { publishToUser, publishPostCounts, publishNewPost };
@@ -0,0 +1,168 @@
+const Post = require('../models/post');
+const Comment = require('../models/comment');
+const User = require('../models/user');
+const Report = require('../models/report');
+const ModerationCase = require('../models/moderationCase');
+const { hideContent } = require('./moderationUtils');
+
+// Distinct reporters it takes to hide a post or comment before a moderator
+// gets to it. Reported users are never hidden automatically.
+const AUTO_HIDE_THRESHOLD = Math.max(parseInt(process.env.REPORT_AUTO_HIDE_THRESHOLD) || 5, 1);
+
+// Loads what a report points at, if the reporter could have seen it.
+// Resolves to { doc, ownerId, postId } or null.
+const loadTarget = async (targetType, targetId) => {
+  switch (targetType) {
+    case 'post': {
+      const post = await Post.findById(targetId).select('+hiddenBy');
+      return post && post.isPublished ? { doc: post, ownerId: post.author, postId: post._id } : null;
+    }
+    case 'comment': {
+      const comment = await Comment.findById(targetId).select('+hiddenBy');
+      return comment && !comment.hiddenAt ? { doc: comment, ownerId: comment.author, postId: comment.post } : null;
+    }
+    case 'user': {
+      const user = await User.findById(targetId).select('deactivatedAt');
+      return user && !user.deactivatedAt ? { doc: user, ownerId: user._id, postId: null } : null;
+    }
+    default:
+      return null;
+  }
+};
+
+// The post or comment a case is about, whatever state it is in now; null for
+// cases about users, or once the content has been deleted
+const findCaseContent = (moderationCase) => {
+  const model = { post: Post, comment: Comment }[moderationCase.targetType];
+  return model ? model.findById(moderationCase.targetId).select('+hiddenBy') : null;
+};
+
+const openCaseFor = async (targetType, targetId, target) => {
+  const filter = { targetType, targetId, status: 'open' };
+  try {
+    return await ModerationCase.findOneAndUpdate(
+      filter,
+      { $setOnInsert: { targetOwner: target.ownerId, post: target.postId } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Two first reports raced and the other one opened the case
+    if (error.code === 11000) return ModerationCase.findOne(filter);
+    throw error;
+  }
+};
+
+// Files a report against the target's open case, opening one if needed, and
+// hides the content once enough different people have reported it.
+// Resolves to { report, moderationCase } or { status, error }.
+const fileReport = async ({ reporterId, targetType, targetId, category, details }) => {
+  const target = await loadTarget(targetType, targetId);
+  if (!target) {
+    return { status: 404, error: 'Reported content not found' };
+  }
+  if (target.ownerId.equals(reporterId)) {
+    return { status: 400, error: 'You cannot report yourself or your own content' };
+  }
+
+  let moderationCase = await openCaseFor(targetType, targetId, target);
+
+  let report;
+  try {
+    report = await Report.create({
+      case: moderationCase._id,
+      reporter: reporterId,
+      targetType,
+      targetId,
+      category,
+      details
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return { status: 409, error: 'You have already reported this' };
+    }
+    throw error;
+  }
+
+  moderationCase = await ModerationCase.findByIdAndUpdate(
+    moderationCase._id,
+    {
+      $inc: { reporterCount: 1, [`categories.${category}`]: 1 },
+      $set: { lastReportedAt: report.createdAt }
+    },
+    { new: true }
+  );
+
+  if (targetType !== 'user' && moderationCase.reporterCount >= AUTO_HIDE_THRESHOLD && !target.doc.hiddenAt) {
+    // Claimed first, so concurrent reports hide it only once
+    const claimed = await ModerationCase.findOneAndUpdate(
+      { _id: moderationCase._id, autoHiddenAt: null },
+      { $set: { autoHiddenAt: new Date() } },
+      { new: true }
+    );
+    if (claimed) {
+      await hideContent(target.doc, null, `Hidden automatically after ${claimed.reporterCount} reports`);
+      moderationCase = claimed;
+    }
+  }
+
+  return { report, moderationCase };
+};
+
+// Puts a post or comment the content filters flagged in front of the
+// moderators, on its open case alongside any reports
+const flagContent = async (targetType, doc, reasons) => {
+  const target = { ownerId: doc.author, postId: targetType === 'post' ? doc._id : doc.post };
+  const moderationCase = await openCaseFor(targetType, doc._id, target);
+  const at = new Date();
+
+  return ModerationCase.findByIdAndUpdate(
+    moderationCase._id,
+    {
+      $push: { flags: { $each: reasons.map(({ filter, reason }) => ({ filter, reason, at })) } },
+      $set: { lastReportedAt: at }
+    },
+    { new: true }
+  );
+};
+
+const TARGET_PREVIEWS = {
+  post: { model: Post, select: 'title excerpt slug status author hiddenAt hiddenReason' },
+  comment: { model: Comment, select: 'content post author hiddenAt hiddenReason' },
+  user: { model: User, select: 'firstName lastName avatar headline deactivatedAt suspension' }
+};
+
+// What each case is about, loaded in one query per target type. Targets
+// deleted since they were reported come back as null.
+const withTargets = async (cases) => {
+  const targets = new Map();
+
+  await Promise.all(Object.entries(TARGET_PREVIEWS).map(async ([targetType, { model, select }]) => {
+    const ids = cases.filter(entry => entry.targetType === targetType).map(entry => entry.targetId);
+    if (ids.length === 0) return;
+
+    const docs = await model.find({ _id: { $in: ids } }).select(select).lean();
+    docs.forEach(doc => targets.set(`${targetType}:${doc._id}`, doc));
+  }));
+
+  return cases.map(entry => ({
+    ...entry,
+    target: targets.get(`${entry.targetType}:${entry.targetId}`) || null
+  }));
+};
+
+// Closes a case with what the moderator did about it
+const resolveCase = (moderationCase, { action, by, note = null, suspendedUntil = null }) => {
+  moderationCase.status = action === 'dismiss' ? 'dismissed' : 'actioned';
+  moderationCase.resolution = { action, by, at: new Date(), note, suspendedUntil };
+  return moderationCase.save();
+};
+
+module.exports = {
+  AUTO_HIDE_THRESHOLD,
+  loadTarget,
+  findCaseContent,
+  fileReport,
+  flagContent,
+  withTargets,
+  resolveCase
+};
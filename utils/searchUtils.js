@@ -0,0 +1,59 @@
+const SNIPPET_RADIUS = 80;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Lowercased, accents stripped and whitespace collapsed, so "José  Núñez"
+// and "jose nunez" compare equal
+const normalizeName = (value) => (value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Words worth highlighting: quotes dropped, negated (-word) terms ignored
+const searchTerms = (q) => q
+  .replace(/"/g, ' ')
+  .split(/\s+/)
+  .filter(term => term && !term.startsWith('-'))
+  .map(term => term.toLowerCase());
+
+// A window of text around the first match, HTML-escaped, with every term
+// wrapped in <mark>. Falls back to the start of the text.
+const buildSnippet = (text, terms, radius = SNIPPET_RADIUS) => {
+  if (!text) return '';
+
+  const pattern = terms.length
+    ? new RegExp(terms.map(escapeRegex).join('|'), 'gi')
+    : null;
+  const firstMatch = pattern ? text.search(pattern) : -1;
+
+  const start = firstMatch > radius ? firstMatch - radius : 0;
+  const end = Math.min(text.length, start + radius * 2);
+  const snippet = text.slice(start, end);
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+
+  if (!pattern) return prefix + escapeHtml(snippet) + suffix;
+
+  // Highlight on the raw text, escaping the pieces in between
+  let highlighted = '';
+  let lastIndex = 0;
+  for (const match of snippet.matchAll(pattern)) {
+    highlighted += escapeHtml(snippet.slice(lastIndex, match.index));
+    highlighted += `<mark>${escapeHtml(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+  highlighted += escapeHtml(snippet.slice(lastIndex));
+
+  return prefix + highlighted + suffix;
+};
+
+module.exports = { escapeRegex, escapeHtml, normalizeName, searchTerms, buildSnippet };
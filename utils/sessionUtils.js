@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const User = require('../models/user');
+const Session = require('../models/session');
+const { generateTokens, verifyRefreshToken } = require('./tokenUtils');
+const { publish, userChannel } = require('./pubsub');
+
+// Access tokens are checked against their session on every request. The
+// answer is cached here so that check rarely reaches the database. Revoked
+// sessions never come back, so a "gone" answer is kept until evicted; a
+// "live" one is rechecked after the TTL. Revocations made by this process
+// apply at once, those made by other instances within the TTL.
+const SESSION_CACHE_TTL_MS = (parseInt(process.env.SESSION_CACHE_TTL_SECONDS) || 30) * 1000;
+const SESSION_CACHE_MAX_ENTRIES = 10000;
+
+const sessionCache = new Map(); // session id -> { active, checkedAt }
+
+const cacheSession = (sessionId, active) => {
+  const key = String(sessionId);
+  sessionCache.delete(key);
+  // Maps iterate in insertion order, so the first key is the oldest entry
+  if (sessionCache.size >= SESSION_CACHE_MAX_ENTRIES) {
+    sessionCache.delete(sessionCache.keys().next().value);
+  }
+  sessionCache.set(key, { active, checkedAt: Date.now() });
+};
+
+const isSessionActive = async (sessionId) => {
+  const cached = sessionCache.get(String(sessionId));
+  if (cached && (!cached.active || Date.now() - cached.checkedAt < SESSION_CACHE_TTL_MS)) {
+    return cached.active;
+  }
+
+  const active = !!(await Session.exists({ _id: sessionId, expiresAt: { $gt: new Date() } }));
+  cacheSession(sessionId, active);
+  return active;
+};
+
+// Event streams opened with a revoked token listen for this and close
+// (routes/realtime.js). `all` covers every session the user had.
+const announceRevoked = (userId, { sessionId = null, all = false }) =>
+  publish(userChannel(userId), 'session.revoked', { sessionId, all });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Checked in order, so the more specific names come first (Edge and Opera
+// also claim to be Chrome, and iOS to be macOS)
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Safari', /Safari\//]
+];
+
+const PLATFORMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+// A short label like "Firefox on Windows" for the sessions list
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+  const match = (list) => (list.find(([, pattern]) => pattern.test(userAgent)) || [])[0];
+  const browser = match(BROWSERS);
+  const platform = match(PLATFORMS);
+
+  if (browser && platform) return `${browser} on ${platform}`;
+  return browser || platform || 'Unknown device';
+};
+
+const clientDetails = (req) => {
+  const userAgent = (req.get('user-agent') || '').slice(0, 500);
+  return {
+    userAgent,
+    device: describeDevice(userAgent),
+    ip: req.ip || null
+  };
+};
+
+const expiryOf = (refreshToken) => new Date(verifyRefreshToken(refreshToken).exp * 1000);
+
+// Signs the user in on a new device: a new session (token family) and its
+// first pair of tokens
+const startSession = async (user, req) => {
+  const session = new Session({ user: user._id, ...clientDetails(req) });
+  const tokens = generateTokens(user, session._id);
+
+  session.tokenHash = hashToken(tokens.refreshToken);
+  session.expiresAt = expiryOf(tokens.refreshToken);
+  await session.save();
+  cacheSession(session._id, true);
+
+  return { session, tokens };
+};
+
+// Swaps a refresh token for a new pair. Only the session's newest token is
+// accepted; a validly signed older one means it was copied and replayed
+// after rotation, so the whole family is revoked. Resolves to null whenever
+// the token can't be used.
+const rotateSession = async (user, decoded, refreshToken, req) => {
+  if (!decoded.sid) return null;
+
+  const tokens = generateTokens(user, decoded.sid);
+  const session = await Session.findOneAndUpdate(
+    { _id: decoded.sid, user: user._id, tokenHash: hashToken(refreshToken) },
+    {
+      $set: {
+        tokenHash: hashToken(tokens.refreshToken),
+        expiresAt: expiryOf(tokens.refreshToken),
+        lastUsedAt: new Date(),
+        ...clientDetails(req)
+      }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const { deletedCount } = await Session.deleteOne({ _id: decoded.sid, user: user._id });
+    cacheSession(decoded.sid, false);
+    if (deletedCount) {
+      await announceRevoked(user._id, { sessionId: decoded.sid });
+      console.warn(`Refresh token reuse detected: revoked session ${decoded.sid} of user ${user._id}`);
+    }
+    return null;
+  }
+
+  return { session, tokens };
+};
+
+// Ends the session a refresh token belongs to, if it's still the current one
+const endSessionByToken = async (userId, refreshToken) => {
+  const session = await Session.findOneAndDelete({ user: userId, tokenHash: hashToken(refreshToken) });
+  if (session) {
+    cacheSession(session._id, false);
+    await announceRevoked(userId, { sessionId: session._id });
+  }
+  return session;
+};
+
+// Resolves to the deleted session, or null if the user had no such session
+const revokeSession = async (userId, sessionId) => {
+  const session = await Session.findOneAndDelete({ _id: sessionId, user: userId });
+  if (session) {
+    cacheSession(session._id, false);
+    await announceRevoked(userId, { sessionId: session._id });
+  }
+  return session;
+};
+
+// Ends every session and, by bumping tokenVersion, every access token already
+// handed out. Resolves to the new tokenVersion.
+const revokeAllSessions = async (userId) => {
+  await Session.deleteMany({ user: userId });
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { tokenVersion: 1 } },
+    { new: true, select: 'tokenVersion' }
+  );
+  await announceRevoked(userId, { all: true });
+  return user ? user.tokenVersion : null;
+};
+
+// The session as its owner sees it; never includes the token hash
+const describeSession = (session, currentSessionId) => ({
+  id: session._id,
+  device: session.device,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: !!currentSessionId && session._id.equals(currentSessionId)
+});
+
+module.exports = {
+  SESSION_CACHE_TTL_MS,
+  isSessionActive,
+  hashToken,
+  describeDevice,
+  startSession,
+  rotateSession,
+  endSessionByToken,
+  revokeSession,
+  revokeAllSessions,
+  describeSession
+};
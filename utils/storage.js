@@ -0,0 +1,102 @@
+const fs = require('fs/promises');
+const { createReadStream } = require('fs');
+const path = require('path');
+
+// A storage adapter is anything with:
+//   save(key, buffer, contentType) -> promise
+//   remove(key)                    -> promise, resolves even if the key is gone
+//   url(key)                       -> public URL for the stored object
+//   stream(key)                    -> readable stream of the object's bytes
+// Keys are relative paths like "posts/<id>/<name>.webp". STORAGE_DRIVER picks
+// a built-in adapter; setStorage plugs in others (S3, GCS, a test double).
+
+const UPLOADS_ROUTE = '/uploads';
+
+const localDiskStorage = (
+  directory = process.env.UPLOAD_DIR || 'uploads',
+  baseUrl = process.env.UPLOAD_BASE_URL || UPLOADS_ROUTE
+) => {
+  const root = path.resolve(directory);
+
+  // Keys come from our own code, but never let one escape the upload root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    root,
+    save: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+    },
+    remove: async (key) => {
+      try {
+        await fs.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+    url: (key) => `${baseUrl}/${key}`,
+    stream: (key) => createReadStream(resolveKey(key))
+  };
+};
+
+const defaultStorage = () => {
+  switch (process.env.STORAGE_DRIVER) {
+    default:
+      return localDiskStorage();
+  }
+};
+
+let storage = null;
+
+const setStorage = (nextStorage) => {
+  storage = nextStorage;
+};
+
+const getStorage = () => {
+  if (!storage) storage = defaultStorage();
+  return storage;
+};
+
+// Files that must never be publicly reachable, such as personal data
+// exports. Nothing serves this directory; routes stream from it after
+// checking access.
+let privateStorage = null;
+
+const setPrivateStorage = (nextStorage) => {
+  privateStorage = nextStorage;
+};
+
+const getPrivateStorage = () => {
+  if (!privateStorage) {
+    privateStorage = localDiskStorage(process.env.PRIVATE_STORAGE_DIR || 'private-storage', null);
+  }
+  return privateStorage;
+};
+
+// Best effort: a file we fail to delete is logged, never surfaced to the
+// request that made it an orphan
+const removeFiles = async (keys) => {
+  const results = await Promise.allSettled(
+    keys.filter(Boolean).map(key => getStorage().remove(key))
+  );
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => console.error('Storage cleanup error:', result.reason));
+};
+
+module.exports = {
+  UPLOADS_ROUTE,
+  localDiskStorage,
+  setStorage,
+  getStorage,
+  setPrivateStorage,
+  getPrivateStorage,
+  removeFiles
+};
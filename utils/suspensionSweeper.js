@@ -0,0 +1,55 @@
+const User = require('../models/user');
+const { liftSuspension } = require('./suspensionUtils');
+
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000;
+const CLAIM_LEASE_MS = 10 * 60 * 1000;
+
+let timer = null;
+
+// Lifts every suspension that has run out, bringing hidden content back.
+// Each account is claimed by pushing its end time out by a lease, so
+// parallel workers skip it and a lift that dies part-way is retried.
+// Bans have no end time and are never matched.
+const liftExpiredSuspensions = async () => {
+  let lifted = 0;
+
+  for (;;) {
+    const now = new Date();
+    const user = await User.findOneAndUpdate(
+      { 'suspension.until': { $lte: now } },
+      { $set: { 'suspension.until': new Date(now.getTime() + CLAIM_LEASE_MS) } },
+      { sort: { 'suspension.until': 1 }, new: true }
+    );
+    if (!user) break;
+
+    await liftSuspension(user);
+    lifted++;
+  }
+
+  return lifted;
+};
+
+const startSuspensionSweeper = (intervalMs = parseInt(process.env.SUSPENSION_SWEEP_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  if (timer) return;
+
+  const tick = () => {
+    liftExpiredSuspensions()
+      .then(count => {
+        if (count > 0) console.log(`🔓 Lifted ${count} expired suspension(s)`);
+      })
+      .catch(error => console.error('Suspension sweeper error:', error));
+  };
+
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+  tick();
+};
+
+const stopSuspensionSweeper = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = { liftExpiredSuspensions, startSuspensionSweeper, stopSuspensionSweeper };
@@ -0,0 +1,75 @@
+const Post = require('../models/post');
+const Comment = require('../models/comment');
+const { PUBLISHED_EXPRESSION } = require('./postUtils');
+const { revokeAllSessions } = require('./sessionUtils');
+const { sendSuspensionEmail } = require('./mailer');
+const { publish, userChannel } = require('./pubsub');
+
+// True while a suspension is in force; a ban (no `until`) always is
+const isSuspended = (user, now = new Date()) =>
+  !!(user && user.suspension && user.suspension.at &&
+    (!user.suspension.until || user.suspension.until > now));
+
+// The 403 body for a suspended user: what happened, why and until when
+const suspensionError = (user) => {
+  const { at, until, reason } = user.suspension;
+  const permanent = !until;
+  return {
+    error: permanent
+      ? 'This account has been permanently banned'
+      : `This account is suspended until ${until.toISOString()}`,
+    code: permanent ? 'account_banned' : 'account_suspended',
+    suspension: {
+      permanent,
+      since: at,
+      until: until || null,
+      reason: reason || null
+    }
+  };
+};
+
+const setContentSuspended = async (userId, suspended) => {
+  await Post.updateMany(
+    { author: userId, authorSuspended: { $ne: suspended } },
+    [{ $set: { authorSuspended: suspended } }, { $set: { isPublished: PUBLISHED_EXPRESSION } }]
+  );
+  await Comment.updateMany(
+    { author: userId, authorSuspended: { $ne: suspended } },
+    { $set: { authorSuspended: suspended } }
+  );
+};
+
+// Suspends the account until `until`, or bans it for good when `until` is
+// null, and signs it out everywhere. hideContent takes the user's posts and
+// comments out of circulation for as long as it lasts.
+const suspendUser = async (user, { until = null, reason = null, by, hideContent = false }) => {
+  // Re-suspending never un-hides content an earlier suspension hid
+  const contentHidden = hideContent || !!(isSuspended(user) && user.suspension.contentHidden);
+
+  user.suspension = { at: new Date(), until, reason, by, contentHidden };
+  await user.save();
+  // Open event streams pass this on, then close when the sessions go
+  await publish(userChannel(user._id), 'account.suspended', suspensionError(user));
+  await revokeAllSessions(user._id);
+  if (contentHidden) {
+    await setContentSuspended(user._id, true);
+  }
+
+  try {
+    await sendSuspensionEmail(user);
+  } catch (error) {
+    console.error('Send suspension email error:', error);
+  }
+};
+
+// Ends a suspension or ban early, or tidies up one that has run out
+const liftSuspension = async (user) => {
+  const contentHidden = !!(user.suspension && user.suspension.contentHidden);
+  if (contentHidden) {
+    await setContentSuspended(user._id, false);
+  }
+  user.suspension = null;
+  await user.save();
+};
+
+module.exports = { isSuspended, suspensionError, suspendUser, liftSuspension };
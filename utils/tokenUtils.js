@@ -1,16 +1,21 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
-const generateTokens = (userId) => {
+// Both tokens name the session (sid) they belong to; the refresh token also
+// gets a unique jti so every rotation produces a distinct token. The access
+// token carries the user's tokenVersion (ver), checked on every request.
+const generateTokens = (user, sessionId) => {
+  const userId = user._id;
   const accessToken = jwt.sign(
-    { id: userId },
+    { id: userId, sid: sessionId, ver: user.tokenVersion || 0 },
     process.env.JWT_SECRET,
     { expiresIn: process.env.JWT_EXPIRE }
   );
   
   const refreshToken = jwt.sign(
-    { id: userId, type: 'refresh' },
+    { id: userId, sid: sessionId, type: 'refresh' },
     process.env.JWT_REFRESH_SECRET,
-    { expiresIn: process.env.JWT_REFRESH_EXPIRE }
+    { expiresIn: process.env.JWT_REFRESH_EXPIRE, jwtid: crypto.randomUUID() }
   );
   
   return { accessToken, refreshToken };